@@ -0,0 +1,113 @@
+/**
+ * Battery Forecast Utilities
+ * Estimates how fast a battery drains from its recorder history and when it
+ * will run empty.
+ */
+
+// Days of recorder history requested for each battery
+const FORECAST_HISTORY_DAYS = 30;
+
+// Minimum span of history (in days) before a drain rate is trusted
+const MIN_FORECAST_SPAN_DAYS = 1;
+
+// A rise of at least this many percentage points means the battery was replaced
+// or recharged, so older samples no longer describe the current battery
+const BATTERY_REPLACEMENT_JUMP = 10;
+
+const MS_PER_DAY = 86400000;
+
+/**
+ * Converts a compressed history response (minimal_response, no_attributes)
+ * into numeric samples sorted by time
+ * Each history entry looks like { s: '85', lu: 1700000000.123 } where `lu` is
+ * the last-updated time in seconds. Non-numeric states (unavailable, unknown)
+ * are dropped.
+ * @param {Array<Object>} states - History entries for a single entity
+ * @returns {Array<{ time: number, level: number }>} Samples with time in ms
+ */
+function parseHistorySamples(states) {
+  if (!Array.isArray(states)) return [];
+
+  return states
+    .map(entry => ({
+      time: Number(entry?.lu ?? entry?.lc) * 1000,
+      level: Number.parseFloat(entry?.s)
+    }))
+    .filter(sample => Number.isFinite(sample.time) && Number.isFinite(sample.level))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Drops every sample recorded before the most recent battery replacement
+ * @param {Array<{ time: number, level: number }>} samples - Samples sorted by time
+ * @returns {Array<{ time: number, level: number }>} Samples for the current battery
+ */
+function getSamplesSinceReplacement(samples) {
+  let start = 0;
+  for (let i = 1; i < samples.length; i++) {
+    if (samples[i].level - samples[i - 1].level >= BATTERY_REPLACEMENT_JUMP) {
+      start = i;
+    }
+  }
+  return samples.slice(start);
+}
+
+/**
+ * Calculates the drain rate with a least-squares fit over the samples
+ * @param {Array<{ time: number, level: number }>} samples - Samples sorted by time
+ * @returns {number|null} Percentage points lost per day, or null when the
+ *   history is too short or the battery is not draining
+ */
+function calculateDrainRate(samples) {
+  const current = getSamplesSinceReplacement(samples || []);
+  if (current.length < 2) return null;
+
+  const first = current[0].time;
+  const span = (current[current.length - 1].time - first) / MS_PER_DAY;
+  if (span < MIN_FORECAST_SPAN_DAYS) return null;
+
+  // Fit level = a + slope * days
+  const n = current.length;
+  let sumX = 0;
+  let sumY = 0;
+  let sumXY = 0;
+  let sumXX = 0;
+  current.forEach(({ time, level }) => {
+    const x = (time - first) / MS_PER_DAY;
+    sumX += x;
+    sumY += level;
+    sumXY += x * level;
+    sumXX += x * x;
+  });
+
+  const denominator = n * sumXX - sumX * sumX;
+  if (denominator === 0) return null;
+
+  const slope = (n * sumXY - sumX * sumY) / denominator;
+  return slope < 0 ? -slope : null;
+}
+
+/**
+ * Estimates when the battery will reach 0%
+ * @param {number} level - Current battery level in percent
+ * @param {number|null} drainRate - Percentage points lost per day
+ * @param {number} [now=Date.now()] - Reference time in ms
+ * @returns {number|null} Timestamp (ms) of the estimated empty date
+ */
+function forecastEmptyTime(level, drainRate, now = Date.now()) {
+  if (!Number.isFinite(level) || !drainRate || drainRate <= 0) return null;
+  return now + (Math.max(0, level) / drainRate) * MS_PER_DAY;
+}
+
+// Export for testing and usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FORECAST_HISTORY_DAYS,
+    MIN_FORECAST_SPAN_DAYS,
+    BATTERY_REPLACEMENT_JUMP,
+    parseHistorySamples,
+    getSamplesSinceReplacement,
+    calculateDrainRate,
+    forecastEmptyTime
+  };
+}
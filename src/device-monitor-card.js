@@ -115,12 +115,30 @@ const DEFAULT_TITLE_FALLBACKS = {
   battery: 'Low Battery',
   contact: 'Open Doors & Windows',
   lock: 'Unlocked Locks',
-  light: 'Lights On'
+  light: 'Lights On',
+  moisture: 'Water Leaks',
+  safety: 'Safety',
+  availability: 'Offline Devices',
+  update: 'Updates Available',
+  cover: 'Open Covers',
+  switch: 'Switches On',
+  media_player: 'Media Playing',
+  temperature: 'Temperature Out of Range',
+  humidity: 'Humidity Out of Range',
+  signal: 'Weak Signal',
+  occupancy: 'Occupied Rooms',
+  alarm: 'Alarm',
+  appliance: 'Appliance Problems',
+  consumable: 'Replace Soon',
+  connectivity: 'Devices Offline',
+  custom: 'Device Monitor',
+  // Cards combining several entity types
+  multiple: 'Device Status'
 };
 
 const getDefaultTitle = (entityType) => {
   const localized = localizationHelper.localize(`default_titles.${entityType}`);
-  return localized || DEFAULT_TITLE_FALLBACKS[entityType] || 'Device Monitor';
+  return localized || DEFAULT_TITLE_FALLBACKS[entityType] || ENTITY_TYPES[entityType]?.defaultTitle || 'Device Monitor';
 };
 
 const getEmptyMessage = (entityType, strategy) => {
@@ -128,6 +146,37 @@ const getEmptyMessage = (entityType, strategy) => {
   return localized || strategy.emptyMessage;
 };
 
+// Escape text that comes from outside the registries (e.g. media titles) before rendering
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Format an elapsed time as a compact, localized duration (e.g. "2 hr 5 min")
+const formatDuration = (ms) => {
+  const totalMinutes = Math.max(0, Math.floor(ms / 60000));
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+  const format = (value, unit) => {
+    try {
+      return new Intl.NumberFormat(localizationHelper.currentLanguage, { style: 'unit', unit, unitDisplay: 'short' }).format(value);
+    } catch (_error) {
+      return `${value} ${unit}`;
+    }
+  };
+
+  if (days > 0) {
+    return hours > 0 ? `${format(days, 'day')} ${format(hours, 'hour')}` : format(days, 'day');
+  }
+  if (hours > 0) {
+    return minutes > 0 ? `${format(hours, 'hour')} ${format(minutes, 'minute')}` : format(hours, 'hour');
+  }
+  return format(minutes, 'minute');
+};
+
 const registryHelpers = {
   getAreaId(hass, deviceId) {
     if (!hass || !hass.devices) {
@@ -271,15 +320,62 @@ const shouldExcludeDevice = (device, excludeConfig) => {
     : rules.some(matchesRule);
 };
 
+// Threshold override rule types, from most to least specific
+const THRESHOLD_OVERRIDE_TYPES = ['entity', 'device', 'label', 'integration'];
+
+// Resolve the battery warning threshold of an entity from `battery_threshold_overrides` (most specific rule wins)
+// `battery_threshold` is still accepted as an alias of `warning_threshold`
+const getBatteryThreshold = (hass, entityId, config) => {
+  const defaultThreshold = config.warning_threshold || config.battery_threshold || 20;
+  const overrides = Array.isArray(config.battery_threshold_overrides)
+    ? config.battery_threshold_overrides.filter((rule) => rule?.value && !isNaN(parseFloat(rule.threshold)))
+    : [];
+  if (!overrides.length) {
+    return defaultThreshold;
+  }
+
+  const deviceId = registryHelpers.getDeviceId(hass, entityId);
+  const labelIds = getDeviceLabelIds(hass, deviceId, entityId);
+  const integrationDomains = getDeviceIntegrationDomains(hass, deviceId, entityId, { includeEntityDomain: false });
+
+  const matchesRule = (rule) => {
+    switch (rule.type) {
+      case 'entity':
+        return rule.value === entityId;
+      case 'device':
+        return Boolean(deviceId) && rule.value === deviceId;
+      case 'label':
+        return labelIds.has(rule.value);
+      case 'integration':
+        return integrationDomains.has(String(rule.value).toLowerCase());
+      default:
+        return false;
+    }
+  };
+
+  for (const type of THRESHOLD_OVERRIDE_TYPES) {
+    const rule = overrides.find((candidate) => candidate.type === type && matchesRule(candidate));
+    if (rule) {
+      return parseFloat(rule.threshold);
+    }
+  }
+
+  return defaultThreshold;
+};
+
 const buildExcludeItems = (hass, config) => {
   if (!hass) {
     return { integrationItems: [], deviceItems: [], labelItems: [] };
   }
 
-  const configForItems = { ...config, exclude: undefined };
-  const { allDevices } = collectDevices(hass, configForItems, { debug: false, debugTag: 'Exclude Options' });
+  // Offer the devices of every type of a multi-type config
+  const allDevices = getEntityTypes(config).flatMap((entityType) => {
+    const configForItems = { ...config, entity_type: entityType, exclude: undefined };
+    return collectDevices(hass, configForItems, { debug: false, debugTag: 'Exclude Options' }).allDevices;
+  });
   const integrationSet = new Set();
   const labelSet = new Set();
+  const deviceIds = new Set();
   const deviceItems = [];
 
   allDevices.forEach((device) => {
@@ -296,7 +392,8 @@ const buildExcludeItems = (hass, config) => {
       }
     });
 
-    if (!device.isGroupEntity && device.deviceId) {
+    if (!device.isGroupEntity && device.deviceId && !deviceIds.has(device.deviceId)) {
+      deviceIds.add(device.deviceId);
       deviceItems.push({
         value: device.deviceId,
         label: device.deviceName || device.deviceId
@@ -323,13 +420,13 @@ const buildExcludeItems = (hass, config) => {
 
 const collectDevices = (hass, config, options = {}) => {
   if (!hass) {
-    return { alertDevices: [], normalDevices: [], unavailableDevices: [], totalDevices: 0, allDevices: [] };
+    return { alertDevices: [], normalDevices: [], unavailableDevices: [], staleDevices: [], totalDevices: 0, allDevices: [] };
   }
 
   const entityType = config.entity_type || 'battery';
-  const strategy = ENTITY_TYPES[entityType];
+  const strategy = getStrategy(config);
   if (!strategy) {
-    return { alertDevices: [], normalDevices: [], unavailableDevices: [], totalDevices: 0, allDevices: [] };
+    return { alertDevices: [], normalDevices: [], unavailableDevices: [], staleDevices: [], totalDevices: 0, allDevices: [] };
   }
 
   const includeArea = options.includeArea || false;
@@ -402,7 +499,7 @@ const collectDevices = (hass, config, options = {}) => {
         areaId = registryHelpers.getAreaId(hass, deviceId);
         areaName = areaId ? registryHelpers.getAreaName(hass, areaId) : null;
       }
-    } else if (registryHelpers.isGroupEntity(entityId)) {
+    } else if (registryHelpers.isGroupEntity(entityId) || strategy.includeDevicelessEntities) {
       isGroupEntity = true;
       deviceId = entityId;
       deviceName = attributes.friendly_name || entityId;
@@ -421,13 +518,29 @@ const collectDevices = (hass, config, options = {}) => {
     const isUnavailable = entity?.state === 'unavailable';
     const integrationDomains = getDeviceIntegrationDomains(hass, deviceId, entityId, { includeEntityDomain: false });
     const labelIds = getDeviceLabelIds(hass, deviceId, entityId);
+    // Strategies may override isUnavailable when unavailability is their alert condition
     const stateInfo = {
+      isUnavailable,
       ...strategy.evaluateState({ ...entity, entity_id: entityId }, config, hass),
-      isUnavailable
+      entityId
     };
-    const storageKey = entityType === 'battery' ? deviceId : entityId;
+    const storageKey = strategy.perDevice ? deviceId : entityId;
 
     const existingDevice = devices[storageKey];
+
+    // Per-device strategies can fold every entity of a device into a single state
+    if (existingDevice && strategy.combineStates) {
+      existingDevice.stateInfo = strategy.combineStates(existingDevice.stateInfo, stateInfo);
+      // When the combined state comes from this entity, the row must show and open this entity too
+      if (existingDevice.stateInfo.entityId === entityId) {
+        existingDevice.entityId = entityId;
+        existingDevice.entityName = entityName;
+        existingDevice.attributes = attributes;
+        existingDevice.lastChanged = entity?.last_changed;
+      }
+      return;
+    }
+
     const shouldUpdate = !existingDevice ||
       (entityType === 'battery' && stateInfo.numericValue !== null && existingDevice.stateInfo.numericValue === null);
 
@@ -467,6 +580,8 @@ const collectDevices = (hass, config, options = {}) => {
   const alertDevices = filteredDevices.filter(d => d.stateInfo.isAlert);
   const normalDevices = filteredDevices.filter(d => !d.stateInfo.isAlert);
   const unavailableDevices = filteredDevices.filter(d => d.stateInfo.isUnavailable);
+  // Alerts raised because the entity stopped reporting (see `stale_days`)
+  const staleDevices = filteredDevices.filter(d => d.stateInfo.isStale);
 
   if (debug) {
     const excludedCount = allDevices.length - filteredDevices.length;
@@ -474,6 +589,7 @@ const collectDevices = (hass, config, options = {}) => {
       total: filteredDevices.length,
       alert: alertDevices.length,
       normal: normalDevices.length,
+      stale: staleDevices.length,
       excluded: excludedCount
     });
   }
@@ -482,6 +598,7 @@ const collectDevices = (hass, config, options = {}) => {
     alertDevices,
     normalDevices,
     unavailableDevices,
+    staleDevices,
     allDevices: filteredDevices,
     totalDevices: filteredDevices.length
   };
@@ -597,6 +714,286 @@ const validateBatteryEntity = (attributes, state) => {
   return { valid: true };
 };
 
+/**
+ * Battery Forecast Utilities
+ * Estimates how fast a battery drains from its recorder history and when it
+ * will run empty.
+ */
+
+// Days of recorder history requested for each battery
+const FORECAST_HISTORY_DAYS = 30;
+
+// Minimum span of history (in days) before a drain rate is trusted
+const MIN_FORECAST_SPAN_DAYS = 1;
+
+// A rise of at least this many percentage points means the battery was replaced
+const BATTERY_REPLACEMENT_JUMP = 10;
+
+// How often recorder history is fetched again for the same batteries
+const FORECAST_REFRESH_MS = 3600000;
+
+const MS_PER_DAY = 86400000;
+
+/**
+ * Converts a compressed history response into numeric samples sorted by time
+ * Entries look like { s: '85', lu: 1700000000.123 } with `lu` in seconds
+ */
+const parseHistorySamples = (states) => {
+  if (!Array.isArray(states)) return [];
+
+  return states
+    .map(entry => ({
+      time: Number(entry?.lu ?? entry?.lc) * 1000,
+      level: Number.parseFloat(entry?.s)
+    }))
+    .filter(sample => Number.isFinite(sample.time) && Number.isFinite(sample.level))
+    .sort((a, b) => a.time - b.time);
+};
+
+/**
+ * Drops every sample recorded before the most recent battery replacement
+ */
+const getSamplesSinceReplacement = (samples) => {
+  let start = 0;
+  for (let i = 1; i < samples.length; i++) {
+    if (samples[i].level - samples[i - 1].level >= BATTERY_REPLACEMENT_JUMP) {
+      start = i;
+    }
+  }
+  return samples.slice(start);
+};
+
+/**
+ * Calculates the drain rate (percentage points per day) with a least-squares fit
+ * Returns null when the history is too short or the battery is not draining
+ */
+const calculateDrainRate = (samples) => {
+  const current = getSamplesSinceReplacement(samples || []);
+  if (current.length < 2) return null;
+
+  const first = current[0].time;
+  const span = (current[current.length - 1].time - first) / MS_PER_DAY;
+  if (span < MIN_FORECAST_SPAN_DAYS) return null;
+
+  const n = current.length;
+  let sumX = 0;
+  let sumY = 0;
+  let sumXY = 0;
+  let sumXX = 0;
+  current.forEach(({ time, level }) => {
+    const x = (time - first) / MS_PER_DAY;
+    sumX += x;
+    sumY += level;
+    sumXY += x * level;
+    sumXX += x * x;
+  });
+
+  const denominator = n * sumXX - sumX * sumX;
+  if (denominator === 0) return null;
+
+  const slope = (n * sumXY - sumX * sumY) / denominator;
+  return slope < 0 ? -slope : null;
+};
+
+/**
+ * Estimates the timestamp (ms) at which the battery reaches 0%
+ */
+const forecastEmptyTime = (level, drainRate, now = Date.now()) => {
+  if (!Number.isFinite(level) || !drainRate || drainRate <= 0) return null;
+  return now + (Math.max(0, level) / drainRate) * MS_PER_DAY;
+};
+
+/**
+ * Format a date relative to now in days, months or years (e.g. "in 12 days", "3 months ago")
+ */
+const formatRelativeDate = (value, language) => {
+  const time = new Date(value).getTime();
+  if (isNaN(time)) return '';
+
+  const days = Math.round((time - Date.now()) / MS_PER_DAY);
+  let amount = days;
+  let unit = 'day';
+  if (Math.abs(days) >= 365) {
+    amount = Math.round(days / 365);
+    unit = 'year';
+  } else if (Math.abs(days) >= 30) {
+    amount = Math.round(days / 30);
+    unit = 'month';
+  }
+
+  if ('RelativeTimeFormat' in Intl) {
+    return new Intl.RelativeTimeFormat(language || 'en', { numeric: 'auto' }).format(amount, unit);
+  }
+  const count = Math.abs(amount);
+  const text = `${count} ${unit}${count === 1 ? '' : 's'}`;
+  return amount < 0 ? `${text} ago` : `in ${text}`;
+};
+
+// Entity ID suffixes of the sensors Battery Notes adds to each device it documents
+const BATTERY_NOTES_TYPE_SUFFIX = '_battery_type';
+const BATTERY_NOTES_REPLACED_SUFFIX = '_battery_last_replaced';
+
+// Battery Notes service that records a battery replacement for a device
+const BATTERY_REPLACED_SERVICE = 'battery_notes.set_battery_replaced';
+
+// Frontend user data key holding replacement dates for batteries Battery Notes does not document
+const BATTERY_REPLACED_USER_DATA_KEY = 'device-monitor-card-battery-replaced';
+
+// How long to wait before loading the stored replacement dates again after a failure
+const BATTERY_REPLACED_RETRY_MS = 60000;
+
+// Battery Notes sensors by device ID, rebuilt whenever the entity registry changes
+const batteryNotesIndexCache = new WeakMap();
+
+/**
+ * Index the Battery Notes type and last-replaced sensors by device ID
+ */
+const getBatteryNotesIndex = (hass) => {
+  const entries = hass?.entities;
+  if (!entries) return new Map();
+
+  let index = batteryNotesIndexCache.get(entries);
+  if (index) return index;
+
+  index = new Map();
+  Object.entries(entries).forEach(([entityId, entry]) => {
+    if (!entry?.device_id || !entityId.startsWith('sensor.')) return;
+    if (entry.platform && entry.platform !== 'battery_notes') return;
+
+    let key = null;
+    if (entityId.endsWith(BATTERY_NOTES_TYPE_SUFFIX)) key = 'typeEntityId';
+    if (entityId.endsWith(BATTERY_NOTES_REPLACED_SUFFIX)) key = 'replacedEntityId';
+    if (!key) return;
+
+    const notes = index.get(entry.device_id) || {};
+    notes[key] = entityId;
+    index.set(entry.device_id, notes);
+  });
+  batteryNotesIndexCache.set(entries, index);
+  return index;
+};
+
+/**
+ * Split a Battery Notes type string such as "4× AA" or "CR2032" into type and quantity
+ */
+const parseBatteryType = (value) => {
+  const text = String(value ?? '').trim();
+  if (!text || SPECIAL_HA_STATES.includes(text.toLowerCase())) return null;
+
+  const match = text.match(/^(\d+)\s*[×xX]\s*(.+)$/);
+  return match
+    ? { type: match[2].trim(), quantity: Number(match[1]) }
+    : { type: text, quantity: 1 };
+};
+
+/**
+ * Format a Battery Notes type with its quantity (e.g. "4× AA")
+ */
+const formatBatteryType = ({ type, quantity }) => (quantity > 1 ? `${quantity}× ${type}` : type);
+
+/**
+ * Battery type, quantity and last-replaced date recorded by Battery Notes for a battery
+ * Battery+ sensors carry these as attributes; otherwise the device's Battery Notes sensors are read
+ * Returns null when the device is not documented
+ */
+const getBatteryNotes = (hass, entityId, attributes) => {
+  let parsed = parseBatteryType(attributes?.battery_type);
+  let quantity = Number(attributes?.battery_quantity) || 0;
+  let lastReplaced = attributes?.battery_last_replaced || null;
+
+  if (!parsed || !lastReplaced) {
+    const deviceId = hass?.entities?.[entityId]?.device_id;
+    const notes = deviceId ? getBatteryNotesIndex(hass).get(deviceId) : null;
+    const typeState = notes?.typeEntityId ? hass.states?.[notes.typeEntityId] : null;
+    const replacedState = notes?.replacedEntityId ? hass.states?.[notes.replacedEntityId] : null;
+
+    if (!parsed && typeState) {
+      parsed = parseBatteryType(typeState.attributes?.battery_type || typeState.state);
+      quantity = quantity || Number(typeState.attributes?.battery_quantity) || 0;
+    }
+    if (!lastReplaced && replacedState && !SPECIAL_HA_STATES.includes(String(replacedState.state).toLowerCase())) {
+      lastReplaced = replacedState.state;
+    }
+  }
+
+  if (!parsed && !lastReplaced) return null;
+
+  return {
+    type: parsed?.type || null,
+    quantity: quantity || parsed?.quantity || 1,
+    lastReplaced
+  };
+};
+
+/**
+ * Time of the last report when it is older than `stale_days`, otherwise null
+ * Prefers last_reported (refreshed even when the value is unchanged) over last_updated
+ */
+const getStaleReport = (entity, config) => {
+  const staleDays = Number(config?.stale_days);
+  if (!staleDays || staleDays <= 0 || entity.state === 'unavailable') return null;
+
+  const lastReported = entity.last_reported || entity.last_updated;
+  const time = new Date(lastReported).getTime();
+  if (isNaN(time)) return null;
+  return Date.now() - time > staleDays * MS_PER_DAY ? lastReported : null;
+};
+
+// UpdateEntityFeature.INSTALL bit in supported_features
+const UPDATE_FEATURE_INSTALL = 1;
+
+// MediaPlayerEntityFeature bits in supported_features
+const MEDIA_FEATURE_PAUSE = 1;
+const MEDIA_FEATURE_TURN_OFF = 256;
+const MEDIA_FEATURE_STOP = 4096;
+
+/**
+ * Compare a reading against an optional min/max band (empty bounds are ignored)
+ * Returns 'low', 'high', or null when the value is in range
+ */
+const getRangeStatus = (value, min, max) => {
+  const lower = min === undefined || min === null || min === '' ? NaN : Number(min);
+  const upper = max === undefined || max === null || max === '' ? NaN : Number(max);
+  if (!isNaN(lower) && value < lower) return 'low';
+  if (!isNaN(upper) && value > upper) return 'high';
+  return null;
+};
+
+// Entity ID suffixes used by integrations that expose radio quality as plain sensors
+const SIGNAL_ENTITY_SUFFIXES = ['_rssi', '_lqi', '_linkquality', '_link_quality'];
+
+/**
+ * Normalize a signal reading to a 0-100 percentage
+ * dBm readings (RSSI) map -100..-50 to 0..100, LQI readings use the 0-255 Zigbee scale
+ */
+const normalizeSignalStrength = (value, unit, isLqi) => {
+  const unitStr = String(unit || '').trim().toLowerCase();
+  let percent;
+  if (unitStr === '%') {
+    percent = value;
+  } else if (unitStr === 'dbm' || unitStr === 'db' || (!isLqi && value < 0)) {
+    percent = 2 * (value + 100);
+  } else {
+    percent = (value / 255) * 100;
+  }
+  return Math.round(Math.min(100, Math.max(0, percent)));
+};
+
+// Alarm panel states that need attention regardless of configuration
+const ALARM_ALERT_STATES = ['triggered', 'arming', 'pending'];
+
+// Entity ID words that identify a consumable part reported as a remaining percentage
+const CONSUMABLE_KEYWORDS = ['filter', 'brush', 'ink', 'toner', 'cartridge', 'drum', 'mop', 'sponge', 'blade', 'blades', 'wick', 'consumable'];
+
+// Find the first consumable keyword among the words of an entity ID (e.g. sensor.purifier_filter_life)
+const getConsumableKeyword = (entityId) => {
+  const words = entityId.split('.').pop().split('_');
+  return words.find(word => CONSUMABLE_KEYWORDS.includes(word)) || null;
+};
+
+// Domains whose entities have no meaningful state and report "unknown" until used
+const STATELESS_DOMAINS = ['button', 'input_button', 'event', 'scene', 'notify', 'tts', 'stt', 'conversation'];
+
 /**
  * Entity type strategies for different device types
  */
@@ -604,6 +1001,9 @@ const ENTITY_TYPES = {
   battery: {
     name: 'Battery',
 
+    // Track one battery per device
+    perDevice: true,
+
     // Detect if an entity is a battery sensor
     detect: (entityId, attributes, state) => {
       const excludedSuffixes = ['_state', '_charging', '_charger', '_power', '_health'];
@@ -631,43 +1031,68 @@ const ENTITY_TYPES = {
 
     // Evaluate if the entity state is in alert condition
     evaluateState: (entity, config, hass) => {
-      const threshold = config.battery_threshold || 20;
       const entityId = entity.entity_id;
-
-      // Handle binary_sensor.*_battery_low
+      const warningThreshold = getBatteryThreshold(hass, entityId, config);
+      const criticalThreshold = Math.min(config.critical_threshold ?? 10, warningThreshold);
+      const batteryNotes = getBatteryNotes(hass, entityId, entity.attributes);
+      // Batteries that stopped reporting are alerts even when their last value looked fine
+      const staleReport = getStaleReport(entity, config);
+      const isStale = staleReport !== null;
+
+      // Handle binary_sensor.*_battery_low (the device itself reports the battery as low)
       if (entityId.includes('_battery_low') && entityId.startsWith('binary_sensor.')) {
         const stateObj = hass?.states?.[entityId];
         const displayValue = stateObj ? hass.formatEntityState(stateObj) : (entity.state === 'on' ? 'Low' : 'OK');
         return {
           value: entity.state === 'on' ? 'low' : 'ok',
           displayValue: displayValue,
-          isAlert: entity.state === 'on',
-          numericValue: null
+          isAlert: entity.state === 'on' || isStale,
+          numericValue: null,
+          severity: entity.state === 'on' ? 'critical' : null,
+          isStale,
+          lastReported: staleReport,
+          batteryNotes
         };
       }
 
       // Handle numeric battery levels
       const batteryLevel = parseFloat(entity.state);
       if (!isNaN(batteryLevel)) {
+        let severity = null;
+        if (batteryLevel < criticalThreshold) {
+          severity = 'critical';
+        } else if (batteryLevel < warningThreshold) {
+          severity = 'warning';
+        }
         return {
           value: batteryLevel,
           displayValue: `${batteryLevel}%`,
-          isAlert: batteryLevel < threshold,
-          numericValue: batteryLevel
+          isAlert: severity !== null || isStale,
+          numericValue: batteryLevel,
+          severity,
+          isStale,
+          lastReported: staleReport,
+          batteryNotes
         };
       }
 
       // Handle non-numeric states
+      const isLow = entity.state === 'low' || entity.state === 'Low';
       return {
         value: entity.state,
         displayValue: entity.state,
-        isAlert: entity.state === 'low' || entity.state === 'Low',
-        numericValue: null
+        isAlert: isLow || isStale,
+        numericValue: null,
+        severity: isLow ? 'critical' : null,
+        isStale,
+        lastReported: staleReport,
+        batteryNotes
       };
     },
 
     // Get icon for battery state
     getIcon: (state) => {
+      if (state.isStale) return 'mdi:battery-clock';
       if (state.value === 'low') return 'mdi:battery-alert';
       if (state.value === 'ok') return 'mdi:battery';
       if (state.numericValue === null) return 'mdi:battery-unknown';
@@ -689,16 +1114,48 @@ const ENTITY_TYPES = {
     // Get color for battery state
     getColor: (state) => {
       if (state.isUnavailable) return 'var(--disabled-text-color, #9e9e9e)';
-      if (state.value === 'low') return '#ff0000';
+      if (state.severity === 'critical') return '#ff0000'; // red
+      if (state.severity === 'warning') return '#ffa500'; // orange
+      if (state.isStale) return '#ffa500';
       if (state.value === 'ok') return '#44739e';
       if (state.numericValue === null) return '#ffa500';
-
-      const level = state.numericValue;
-      if (level < 10) return '#ff0000'; // red
-      if (level < 20) return '#ffa500'; // orange
       return '#44739e'; // blue
     },
 
+    // Optional per-row "Battery replaced" button, enabled with the `show_replaced` option
+    rowActionOption: 'show_replaced',
+    getRowAction: (state) => {
+      if (!state.isAlert) return null;
+      return {
+        service: BATTERY_REPLACED_SERVICE,
+        icon: 'mdi:battery-sync',
+        label: localizationHelper.localize('labels.battery_replaced') || 'Battery replaced'
+      };
+    },
+
+    // Show staleness, Battery Notes details and the estimated empty date when available
+    getSecondaryInfo: (state) => {
+      const language = localizationHelper.currentLanguage;
+      const notes = state.batteryNotes;
+      const parts = [];
+      if (state.isStale) {
+        const label = localizationHelper.localize('labels.last_reported') || 'Last reported';
+        parts.push(`${label} ${formatRelativeDate(state.lastReported, language)}`);
+      }
+      if (notes?.type) {
+        parts.push(formatBatteryType(notes));
+      }
+      if (notes?.lastReplaced) {
+        const label = localizationHelper.localize('labels.replaced') || 'Replaced';
+        parts.push(`${label} ${formatRelativeDate(notes.lastReplaced, language)}`);
+      }
+      if (state.forecast?.visible && state.forecast.emptyAt) {
+        const label = localizationHelper.localize('labels.forecast_empty') || 'Empty';
+        parts.push(`${label} ${formatRelativeDate(state.forecast.emptyAt, language)}`);
+      }
+      return parts.length > 0 ? parts.join(' · ') : null;
+    },
+
     // Get empty state message
     emptyMessage: 'All batteries are OK!',
     emptyIcon: 'mdi:battery-check',
@@ -706,10 +1163,14 @@ const ENTITY_TYPES = {
     // Default title for badge
     defaultTitle: 'Low Battery',
 
-    // Get badge color based on alert count
-    getBadgeColor: (alertCount) => {
+    // Severity of alerts without their own, used when combining types in one badge
+    alertSeverity: 'warning',
+
+    // Get badge color based on alert count, escalating to red once a battery is critical
+    getBadgeColor: (alertCount, alertDevices = []) => {
       if (alertCount === 0) return 'var(--success-color, #4caf50)';
-      return 'var(--label-badge-red, #df4c1e)';
+      const hasCritical = alertDevices.some(device => device.stateInfo?.severity === 'critical');
+      return hasCritical ? 'var(--label-badge-red, #df4c1e)' : 'var(--label-badge-yellow, #f4b400)';
     }
   },
 
@@ -769,6 +1230,9 @@ const ENTITY_TYPES = {
     // Default title for badge
     defaultTitle: 'Open Doors & Windows',
 
+    // Severity of alerts without their own, used when combining types in one badge
+    alertSeverity: 'warning',
+
     // Get badge color based on alert count
     getBadgeColor: (alertCount) => {
       if (alertCount === 0) return 'var(--success-color, #4caf50)';
@@ -820,6 +1284,9 @@ const ENTITY_TYPES = {
     // Default title for badge
     defaultTitle: 'Unlocked Locks',
 
+    // Severity of alerts without their own, used when combining types in one badge
+    alertSeverity: 'warning',
+
     // Get badge color based on alert count
     getBadgeColor: (alertCount) => {
       if (alertCount === 0) return 'var(--success-color, #4caf50)';
@@ -830,6 +1297,9 @@ const ENTITY_TYPES = {
   light: {
     name: 'Light',
 
+    // Rows can show a turn_on/turn_off toggle (show_toggle)
+    supportsToggle: true,
+
     // Detect if an entity is a light
     detect: (entityId, attributes, _state) => {
       return entityId.startsWith('light.');
@@ -866,99 +1336,1574 @@ const ENTITY_TYPES = {
     // Default title for badge
     defaultTitle: 'Lights On',
 
+    // Severity of alerts without their own, used when combining types in one badge
+    alertSeverity: 'warning',
+
     // Get badge color based on alert count
     getBadgeColor: (alertCount) => {
       if (alertCount === 0) return 'var(--disabled-text-color, #9e9e9e)';
       return 'var(--label-badge-yellow, #f4b400)';
     }
-  }
-};
+  },
 
-class DeviceMonitorCard extends HTMLElement {
-  constructor() {
-    super();
-    this.attachShadow({ mode: 'open' });
-    this._config = {};
-    this._expanded = false;
-  }
+  moisture: {
+    name: 'Moisture Sensor',
 
-  /**
-   * Called when the card configuration is set
-   */
-  setConfig(config) {
-    if (!config) {
-      throw new Error('Invalid configuration');
-    }
+    // Detect if an entity is a water leak / moisture sensor
+    detect: (entityId, attributes, _state) => {
+      return entityId.startsWith('binary_sensor.') && attributes.device_class === 'moisture';
+    },
 
-    const entityType = config.entity_type || 'battery';
+    // Evaluate if the entity state is in alert condition ("on" means wet)
+    evaluateState: (entity, config, hass) => {
+      const isWet = entity.state === 'on';
+      const stateObj = hass?.states?.[entity.entity_id];
+      const displayValue = stateObj ? hass.formatEntityState(stateObj) : (isWet ? 'Wet' : 'Dry');
+      return {
+        value: entity.state,
+        displayValue: displayValue,
+        isAlert: isWet,
+        numericValue: null
+      };
+    },
 
-    // Validate entity type
-    if (!ENTITY_TYPES[entityType]) {
-      throw new Error(`Invalid entity_type: ${entityType}. Must be one of: ${Object.keys(ENTITY_TYPES).join(', ')}`);
-    }
+    // Get icon for moisture sensor state
+    getIcon: (state) => {
+      return state.value === 'on' ? 'mdi:water-alert' : 'mdi:water-off';
+    },
 
-    const defaultTitle = getDefaultTitle(entityType);
+    // Get color for moisture sensor state
+    getColor: (state) => {
+      if (state.isUnavailable) return 'var(--disabled-text-color, #9e9e9e)';
+      return state.isAlert ? '#ff0000' : 'var(--success-color, #4caf50)';
+    },
 
-    this._config = {
-      entity_type: entityType,
-      filter: config.filter || 'alert',
-      show_unavailable: config.show_unavailable || false,
-      battery_threshold: config.battery_threshold || 20,
-      title: config.title || defaultTitle,
-      debug: config.debug || false,
-      collapse: config.collapse,
-      group_by: config.group_by || null,
-      sort_by: config.sort_by || 'state',
-      show_toggle: config.show_toggle || false,
-      name_source: config.name_source || 'device',
-      ...config
-    };
+    // Get empty state message
+    emptyMessage: 'No water leaks detected!',
+    emptyIcon: 'mdi:water-check',
 
-    this.render();
-  }
+    // Default title for badge
+    defaultTitle: 'Water Leaks',
 
-  /**
-   * Called when hass object is updated
-   */
-  set hass(hass) {
-    this._hass = hass;
-    this.render();
-  }
+    // Severity of alerts without their own, used when combining types in one badge
+    alertSeverity: 'critical',
 
-  /**
-   * Get the card size for layout purposes
-   */
-  getCardSize() {
-    return 3;
-  }
+    // Get badge color based on alert count
+    getBadgeColor: (alertCount) => {
+      if (alertCount === 0) return 'var(--success-color, #4caf50)';
+      return 'var(--label-badge-red, #df4c1e)';
+    }
+  },
 
-  /**
-   * Get all devices for the configured entity type
-   */
-  _getDevices() {
-    const { alertDevices, normalDevices, unavailableDevices, totalDevices } = collectDevices(this._hass, this._config, {
-      includeArea: true,
-      debug: this._config.debug,
-      debugTag: 'Card'
-    });
+  safety: {
+    name: 'Safety Detector',
 
-    const includeUnavailable = this._config.show_unavailable;
+    // Detect if an entity is a smoke, carbon monoxide, gas or generic safety detector
+    detect: (entityId, attributes, _state) => {
+      const deviceClass = attributes.device_class;
+      return entityId.startsWith('binary_sensor.') && (
+        deviceClass === 'smoke' ||
+        deviceClass === 'carbon_monoxide' ||
+        deviceClass === 'gas' ||
+        deviceClass === 'safety'
+      );
+    },
 
-    // Clone arrays to avoid mutating original collections
-    let alerts = [...alertDevices];
-    let normals = [...normalDevices];
+    // Evaluate if the entity state is in alert condition
+    evaluateState: (entity, config, hass) => {
+      const isDetected = entity.state === 'on';
+      const stateObj = hass?.states?.[entity.entity_id];
+      const displayValue = stateObj ? hass.formatEntityState(stateObj) : (isDetected ? 'Detected' : 'Clear');
+      return {
+        value: entity.state,
+        displayValue: displayValue,
+        isAlert: isDetected,
+        numericValue: null
+      };
+    },
 
-    if (includeUnavailable) {
-      const unavailableIds = new Set(unavailableDevices.map(d => d.entityId));
-      const alertIds = new Set(alerts.map(d => d.entityId));
+    // Get icon for safety detector state
+    getIcon: (state) => {
+      const deviceClass = state.attributes?.device_class;
+      const isDetected = state.value === 'on';
 
-      unavailableDevices.forEach(device => {
-        if (!alertIds.has(device.entityId)) {
-          alerts.push(device);
-        }
-      });
+      if (deviceClass === 'smoke') {
+        return isDetected ? 'mdi:smoke-detector-alert' : 'mdi:smoke-detector';
+      }
+      if (deviceClass === 'carbon_monoxide') {
+        return isDetected ? 'mdi:molecule-co' : 'mdi:smoke-detector-variant';
+      }
+      if (deviceClass === 'gas') {
+        return isDetected ? 'mdi:gas-cylinder' : 'mdi:smoke-detector-variant';
+      }
+      // Default to shield icon for 'safety' device class (and the badge)
+      return isDetected ? 'mdi:shield-alert' : 'mdi:shield-check';
+    },
 
-      normals = normals.filter(d => !unavailableIds.has(d.entityId));
+    // Get color for safety detector state
+    getColor: (state) => {
+      if (state.isUnavailable) return 'var(--disabled-text-color, #9e9e9e)';
+      return state.isAlert ? '#ff0000' : 'var(--success-color, #4caf50)';
+    },
+
+    // Get empty state message
+    emptyMessage: 'All safety detectors are clear!',
+    emptyIcon: 'mdi:shield-check',
+
+    // Default title for badge
+    defaultTitle: 'Safety',
+
+    // Severity of alerts without their own, used when combining types in one badge
+    alertSeverity: 'critical',
+
+    // Get badge color based on alert count
+    getBadgeColor: (alertCount) => {
+      if (alertCount === 0) return 'var(--success-color, #4caf50)';
+      return 'var(--label-badge-red, #df4c1e)';
+    }
+  },
+
+  availability: {
+    name: 'Availability',
+
+    // One row per device; a device is offline only when every entity is
+    perDevice: true,
+
+    // Detect any entity that reports a real state (stateless domains sit at "unknown" by design)
+    detect: (entityId, _attributes, _state) => {
+      const domain = entityId.split('.')[0];
+      return !STATELESS_DOMAINS.includes(domain);
+    },
+
+    // Evaluate if the entity state is in alert condition
+    evaluateState: (entity, config, hass) => {
+      const isOffline = entity.state === 'unavailable' || entity.state === 'unknown';
+      const stateObj = hass?.states?.[entity.entity_id];
+      const offlineDisplay = stateObj ? hass.formatEntityState(stateObj) : entity.state;
+      const onlineDisplay = localizationHelper.localize('labels.online') || 'Online';
+      return {
+        value: isOffline ? entity.state : 'online',
+        displayValue: isOffline ? offlineDisplay : onlineDisplay,
+        isAlert: isOffline,
+        // Unavailability is the alert itself, so never hide these rows as "unavailable"
+        isUnavailable: false,
+        numericValue: null,
+        entityCount: 1,
+        offlineCount: isOffline ? 1 : 0
+      };
+    },
+
+    // Merge the state of another entity of the same device
+    combineStates: (current, next) => {
+      const entityCount = current.entityCount + next.entityCount;
+      const offlineCount = current.offlineCount + next.offlineCount;
+      const isAlert = offlineCount === entityCount;
+      // Once an online entity shows up, display its state instead of the offline one
+      const source = !isAlert && current.isAlert ? next : current;
+      return {
+        ...source,
+        isAlert,
+        entityCount,
+        offlineCount
+      };
+    },
+
+    // Get icon for availability state
+    getIcon: (state) => {
+      return state.isAlert ? 'mdi:lan-disconnect' : 'mdi:lan-connect';
+    },
+
+    // Get color for availability state
+    getColor: (state) => {
+      return state.isAlert ? '#ff0000' : 'var(--success-color, #4caf50)';
+    },
+
+    // Get empty state message
+    emptyMessage: 'All devices are online!',
+    emptyIcon: 'mdi:lan-connect',
+
+    // Default title for badge
+    defaultTitle: 'Offline Devices',
+
+    // Severity of alerts without their own, used when combining types in one badge
+    alertSeverity: 'critical',
+
+    // Get badge color based on alert count
+    getBadgeColor: (alertCount) => {
+      if (alertCount === 0) return 'var(--success-color, #4caf50)';
+      return 'var(--label-badge-red, #df4c1e)';
+    }
+  },
+
+  update: {
+    name: 'Update',
+
+    // Detect if an entity is a firmware/software update entity
+    detect: (entityId, _attributes, _state) => {
+      return entityId.startsWith('update.');
+    },
+
+    // Evaluate if the entity state is in alert condition ("on" means an update is available)
+    evaluateState: (entity, config, hass) => {
+      const isPending = entity.state === 'on';
+      const attributes = entity.attributes || {};
+      const installed = attributes.installed_version;
+      const latest = attributes.latest_version;
+      const stateObj = hass?.states?.[entity.entity_id];
+      let displayValue;
+      if (isPending && installed && latest) {
+        displayValue = `${installed} → ${latest}`;
+      } else if (installed) {
+        displayValue = installed;
+      } else {
+        displayValue = stateObj ? hass.formatEntityState(stateObj) : (isPending ? 'Update available' : 'Up-to-date');
+      }
+      return {
+        value: entity.state,
+        displayValue: displayValue,
+        isAlert: isPending,
+        numericValue: null
+      };
+    },
+
+    // Get icon for update state
+    getIcon: (state) => {
+      if (state.attributes?.in_progress) return 'mdi:progress-download';
+      return state.value === 'on' ? 'mdi:package-up' : 'mdi:package';
+    },
+
+    // Get color for update state
+    getColor: (state) => {
+      if (state.isUnavailable) return 'var(--disabled-text-color, #9e9e9e)';
+      return state.isAlert ? '#03a9f4' : 'var(--success-color, #4caf50)';
+    },
+
+    // Optional per-row action button, enabled with the `show_install` option
+    rowActionOption: 'show_install',
+    getRowAction: (state) => {
+      const supportsInstall = ((state.attributes?.supported_features || 0) & UPDATE_FEATURE_INSTALL) !== 0;
+      if (!state.isAlert || !supportsInstall) return null;
+      return {
+        service: 'update.install',
+        icon: 'mdi:download',
+        label: localizationHelper.localize('labels.install') || 'Install',
+        disabled: Boolean(state.attributes?.in_progress)
+      };
+    },
+
+    // Get empty state message
+    emptyMessage: 'All devices are up to date!',
+    emptyIcon: 'mdi:package-check',
+
+    // Default title for badge
+    defaultTitle: 'Updates Available',
+
+    // Severity of alerts without their own, used when combining types in one badge
+    alertSeverity: 'info',
+
+    // Get badge color based on alert count
+    getBadgeColor: (alertCount) => {
+      if (alertCount === 0) return 'var(--success-color, #4caf50)';
+      return 'var(--label-badge-blue, #039be5)';
+    }
+  },
+
+  cover: {
+    name: 'Cover',
+
+    // Detect if an entity is a cover (garage door, gate, blind...) or a valve
+    detect: (entityId, _attributes, _state) => {
+      return entityId.startsWith('cover.') || entityId.startsWith('valve.');
+    },
+
+    // Evaluate if the entity state is in alert condition (open, opening or partially open)
+    evaluateState: (entity, config, hass) => {
+      const position = entity.attributes?.current_position;
+      const hasPosition = typeof position === 'number';
+      const isOpen = entity.state === 'open' || entity.state === 'opening' || (hasPosition && position > 0);
+      const stateObj = hass?.states?.[entity.entity_id];
+      const defaultDisplay = isOpen ? 'Open' : 'Closed';
+      let displayValue = stateObj ? hass.formatEntityState(stateObj) : defaultDisplay;
+      if (hasPosition && position > 0 && position < 100) {
+        displayValue = `${displayValue} (${position}%)`;
+      }
+      return {
+        value: entity.state,
+        displayValue: displayValue,
+        isAlert: isOpen,
+        numericValue: null
+      };
+    },
+
+    // Get icon for cover/valve state based on its device class
+    getIcon: (state) => {
+      const deviceClass = state.attributes?.device_class;
+      const isOpen = state.isAlert || state.value === 'open' || state.value === 'opening';
+
+      if (state.entityId?.startsWith('valve.')) {
+        if (deviceClass === 'water') {
+          return isOpen ? 'mdi:water-pump' : 'mdi:water-pump-off';
+        }
+        return isOpen ? 'mdi:valve-open' : 'mdi:valve-closed';
+      }
+      if (deviceClass === 'garage') {
+        return isOpen ? 'mdi:garage-open' : 'mdi:garage';
+      }
+      if (deviceClass === 'gate') {
+        return isOpen ? 'mdi:gate-open' : 'mdi:gate';
+      }
+      if (deviceClass === 'blind') {
+        return isOpen ? 'mdi:blinds-open' : 'mdi:blinds';
+      }
+      if (deviceClass === 'curtain') {
+        return isOpen ? 'mdi:curtains' : 'mdi:curtains-closed';
+      }
+      if (deviceClass === 'shade') {
+        return isOpen ? 'mdi:roller-shade' : 'mdi:roller-shade-closed';
+      }
+      if (deviceClass === 'door') {
+        return isOpen ? 'mdi:door-open' : 'mdi:door-closed';
+      }
+      if (deviceClass === 'window') {
+        return isOpen ? 'mdi:window-open' : 'mdi:window-closed';
+      }
+      // Default to shutter icon for 'shutter' and covers without a device class
+      return isOpen ? 'mdi:window-shutter-open' : 'mdi:window-shutter';
+    },
+
+    // Get color for cover/valve state
+    getColor: (state) => {
+      if (state.isUnavailable) return 'var(--disabled-text-color, #9e9e9e)';
+      return state.isAlert ? '#ffa500' : 'var(--success-color, #4caf50)';
+    },
+
+    // Get empty state message
+    emptyMessage: 'All covers and valves are closed!',
+    emptyIcon: 'mdi:window-shutter',
+
+    // Default title for badge
+    defaultTitle: 'Open Covers',
+
+    // Severity of alerts without their own, used when combining types in one badge
+    alertSeverity: 'warning',
+
+    // Get badge color based on alert count
+    getBadgeColor: (alertCount) => {
+      if (alertCount === 0) return 'var(--success-color, #4caf50)';
+      return 'var(--label-badge-yellow, #f4b400)';
+    }
+  },
+
+  switch: {
+    name: 'Switch',
+
+    // Rows can show a turn_on/turn_off toggle (show_toggle)
+    supportsToggle: true,
+
+    // Switch templates and boolean helpers have no device, list them as their own rows
+    includeDevicelessEntities: true,
+
+    // Detect if an entity is a switch, smart plug or boolean helper
+    detect: (entityId, _attributes, _state) => {
+      return entityId.startsWith('switch.') || entityId.startsWith('input_boolean.');
+    },
+
+    // Evaluate if the entity state is in alert condition
+    evaluateState: (entity, config, hass) => {
+      const isOn = entity.state === 'on';
+      const stateObj = hass?.states?.[entity.entity_id];
+      const displayValue = stateObj ? hass.formatEntityState(stateObj) : (isOn ? 'On' : 'Off');
+      return {
+        value: entity.state,
+        displayValue: displayValue,
+        isAlert: isOn,
+        numericValue: null
+      };
+    },
+
+    // Get icon for switch state
+    getIcon: (state) => {
+      const isOn = state.value === 'on';
+      if (state.attributes?.device_class === 'outlet') {
+        return isOn ? 'mdi:power-plug' : 'mdi:power-plug-off';
+      }
+      return isOn ? 'mdi:toggle-switch-variant' : 'mdi:toggle-switch-variant-off';
+    },
+
+    // Get color for switch state
+    getColor: (state) => {
+      if (state.isUnavailable) return 'var(--disabled-text-color, #9e9e9e)';
+      return state.isAlert ? '#ffa500' : 'var(--disabled-text-color, #9e9e9e)';
+    },
+
+    // Get empty state message
+    emptyMessage: 'All switches are off!',
+    emptyIcon: 'mdi:toggle-switch-variant-off',
+
+    // Default title for badge
+    defaultTitle: 'Switches On',
+
+    // Severity of alerts without their own, used when combining types in one badge
+    alertSeverity: 'warning',
+
+    // Get badge color based on alert count
+    getBadgeColor: (alertCount) => {
+      if (alertCount === 0) return 'var(--disabled-text-color, #9e9e9e)';
+      return 'var(--label-badge-yellow, #f4b400)';
+    }
+  },
+
+  media_player: {
+    name: 'Media Player',
+
+    // Detect if an entity is a media player
+    detect: (entityId, _attributes, _state) => {
+      return entityId.startsWith('media_player.');
+    },
+
+    // Evaluate if the entity state is in alert condition (left playing, paused or on)
+    evaluateState: (entity, config, hass) => {
+      const activeStates = ['on', 'playing', 'paused', 'buffering'];
+      const isActive = activeStates.includes(entity.state);
+      const stateObj = hass?.states?.[entity.entity_id];
+      const displayValue = stateObj ? hass.formatEntityState(stateObj) : (isActive ? 'On' : 'Off');
+      return {
+        value: entity.state,
+        displayValue: displayValue,
+        isAlert: isActive,
+        numericValue: null
+      };
+    },
+
+    // Show what is playing (or the selected source) under the name
+    getSecondaryInfo: (state) => {
+      if (!state.isAlert) return null;
+      const attributes = state.attributes || {};
+      if (attributes.media_title) {
+        return attributes.media_artist
+          ? `${attributes.media_artist} – ${attributes.media_title}`
+          : attributes.media_title;
+      }
+      return attributes.source || attributes.app_name || null;
+    },
+
+    // Get icon for media player state based on its device class
+    getIcon: (state) => {
+      const deviceClass = state.attributes?.device_class;
+      const isActive = state.isAlert || state.value === 'playing';
+
+      if (deviceClass === 'tv') {
+        return isActive ? 'mdi:television' : 'mdi:television-off';
+      }
+      if (deviceClass === 'speaker') {
+        return isActive ? 'mdi:speaker' : 'mdi:speaker-off';
+      }
+      if (deviceClass === 'receiver') {
+        return isActive ? 'mdi:audio-video' : 'mdi:audio-video-off';
+      }
+      return isActive ? 'mdi:cast-connected' : 'mdi:cast-off';
+    },
+
+    // Get color for media player state
+    getColor: (state) => {
+      if (state.isUnavailable) return 'var(--disabled-text-color, #9e9e9e)';
+      return state.isAlert ? '#ffa500' : 'var(--disabled-text-color, #9e9e9e)';
+    },
+
+    // Optional per-row stop/turn off button, enabled with the `show_stop` option
+    rowActionOption: 'show_stop',
+    getRowAction: (state) => {
+      if (!state.isAlert) return null;
+      const features = state.attributes?.supported_features || 0;
+      const isPlaying = state.value === 'playing' || state.value === 'paused' || state.value === 'buffering';
+
+      if (isPlaying && (features & MEDIA_FEATURE_STOP)) {
+        return {
+          service: 'media_player.media_stop',
+          icon: 'mdi:stop',
+          label: localizationHelper.localize('labels.stop') || 'Stop'
+        };
+      }
+      if (features & MEDIA_FEATURE_TURN_OFF) {
+        return {
+          service: 'media_player.turn_off',
+          icon: 'mdi:power',
+          label: localizationHelper.localize('labels.turn_off') || 'Turn off'
+        };
+      }
+      if (state.value === 'playing' && (features & MEDIA_FEATURE_PAUSE)) {
+        return {
+          service: 'media_player.media_pause',
+          icon: 'mdi:pause',
+          label: localizationHelper.localize('labels.pause') || 'Pause'
+        };
+      }
+      return null;
+    },
+
+    // Get empty state message
+    emptyMessage: 'All media players are off!',
+    emptyIcon: 'mdi:cast-off',
+
+    // Default title for badge
+    defaultTitle: 'Media Playing',
+
+    // Severity of alerts without their own, used when combining types in one badge
+    alertSeverity: 'warning',
+
+    // Get badge color based on alert count
+    getBadgeColor: (alertCount) => {
+      if (alertCount === 0) return 'var(--disabled-text-color, #9e9e9e)';
+      return 'var(--label-badge-yellow, #f4b400)';
+    }
+  },
+
+  temperature: {
+    name: 'Temperature',
+
+    // Detect if an entity is a temperature sensor or a climate entity reporting its temperature
+    detect: (entityId, attributes, _state) => {
+      if (entityId.startsWith('climate.')) {
+        return attributes.current_temperature !== undefined;
+      }
+      return entityId.startsWith('sensor.') && attributes.device_class === 'temperature';
+    },
+
+    // Evaluate if the entity state is in alert condition (outside the min/max band)
+    evaluateState: (entity, config, hass) => {
+      const isClimate = entity.entity_id.startsWith('climate.');
+      const stateObj = hass?.states?.[entity.entity_id];
+      const temperature = parseFloat(isClimate ? entity.attributes?.current_temperature : entity.state);
+
+      if (isNaN(temperature)) {
+        return {
+          value: entity.state,
+          displayValue: stateObj ? hass.formatEntityState(stateObj) : entity.state,
+          isAlert: false,
+          numericValue: null,
+          rangeStatus: null
+        };
+      }
+
+      const rangeStatus = getRangeStatus(temperature, config.temperature_min, config.temperature_max);
+      let displayValue;
+      if (isClimate) {
+        const unit = hass?.config?.unit_system?.temperature || '';
+        displayValue = stateObj && hass.formatEntityAttributeValue
+          ? hass.formatEntityAttributeValue(stateObj, 'current_temperature')
+          : `${temperature} ${unit}`.trim();
+      } else {
+        const unit = entity.attributes?.unit_of_measurement || '';
+        displayValue = stateObj ? hass.formatEntityState(stateObj) : `${temperature} ${unit}`.trim();
+      }
+
+      return {
+        value: temperature,
+        displayValue: displayValue,
+        isAlert: rangeStatus !== null,
+        numericValue: temperature,
+        rangeStatus
+      };
+    },
+
+    // Get icon for temperature state
+    getIcon: (state) => {
+      if (state.rangeStatus === 'low') return 'mdi:thermometer-low';
+      if (state.rangeStatus === 'high') return 'mdi:thermometer-high';
+      if (state.entityId?.startsWith('climate.')) return 'mdi:thermostat';
+      return 'mdi:thermometer';
+    },
+
+    // Get color for temperature state
+    getColor: (state) => {
+      if (state.isUnavailable) return 'var(--disabled-text-color, #9e9e9e)';
+      if (state.rangeStatus === 'low') return '#2196f3'; // blue
+      if (state.rangeStatus === 'high') return '#ff0000'; // red
+      return 'var(--success-color, #4caf50)';
+    },
+
+    // Get empty state message
+    emptyMessage: 'All temperatures are in range!',
+    emptyIcon: 'mdi:thermometer-check',
+
+    // Default title for badge
+    defaultTitle: 'Temperature Out of Range',
+
+    // Severity of alerts without their own, used when combining types in one badge
+    alertSeverity: 'critical',
+
+    // Get badge color based on alert count
+    getBadgeColor: (alertCount) => {
+      if (alertCount === 0) return 'var(--success-color, #4caf50)';
+      return 'var(--label-badge-red, #df4c1e)';
+    }
+  },
+
+  humidity: {
+    name: 'Humidity',
+
+    // Detect if an entity is a humidity sensor
+    detect: (entityId, attributes, _state) => {
+      return entityId.startsWith('sensor.') && attributes.device_class === 'humidity';
+    },
+
+    // Evaluate if the entity state is in alert condition (too dry or too damp)
+    evaluateState: (entity, config, hass) => {
+      const stateObj = hass?.states?.[entity.entity_id];
+      const humidity = parseFloat(entity.state);
+
+      if (isNaN(humidity)) {
+        return {
+          value: entity.state,
+          displayValue: stateObj ? hass.formatEntityState(stateObj) : entity.state,
+          isAlert: false,
+          numericValue: null,
+          rangeStatus: null
+        };
+      }
+
+      const min = config.humidity_min ?? 30;
+      const max = config.humidity_max ?? 60;
+      const rangeStatus = getRangeStatus(humidity, min, max);
+
+      return {
+        value: humidity,
+        displayValue: stateObj ? hass.formatEntityState(stateObj) : `${humidity}%`,
+        isAlert: rangeStatus !== null,
+        numericValue: humidity,
+        rangeStatus
+      };
+    },
+
+    // Get icon for humidity state
+    getIcon: (state) => {
+      if (state.rangeStatus === 'low') return 'mdi:water-minus';
+      if (state.rangeStatus === 'high') return 'mdi:water-plus';
+      return 'mdi:water-percent';
+    },
+
+    // Get color for humidity state
+    getColor: (state) => {
+      if (state.isUnavailable) return 'var(--disabled-text-color, #9e9e9e)';
+      if (state.rangeStatus === 'low') return '#ff9800'; // orange
+      if (state.rangeStatus === 'high') return '#2196f3'; // blue
+      return 'var(--success-color, #4caf50)';
+    },
+
+    // Get empty state message
+    emptyMessage: 'All humidity levels are in range!',
+    emptyIcon: 'mdi:water-check',
+
+    // Default title for badge
+    defaultTitle: 'Humidity Out of Range',
+
+    // Severity of alerts without their own, used when combining types in one badge
+    alertSeverity: 'warning',
+
+    // Get badge color based on alert count
+    getBadgeColor: (alertCount) => {
+      if (alertCount === 0) return 'var(--success-color, #4caf50)';
+      return 'var(--label-badge-yellow, #f4b400)';
+    }
+  },
+
+  signal: {
+    name: 'Signal',
+
+    // Track the weakest radio reading per device
+    perDevice: true,
+
+    // Detect signal strength sensors and entities reporting a Zigbee link quality
+    detect: (entityId, attributes, _state) => {
+      if (typeof attributes.linkquality === 'number') return true;
+      if (!entityId.startsWith('sensor.')) return false;
+      return attributes.device_class === 'signal_strength' ||
+        SIGNAL_ENTITY_SUFFIXES.some(suffix => entityId.endsWith(suffix));
+    },
+
+    // Evaluate if the entity state is in alert condition
+    evaluateState: (entity, config, hass) => {
+      const threshold = config.signal_threshold ?? 30;
+      const entityId = entity.entity_id;
+      const attributes = entity.attributes || {};
+      const isSignalSensor = entityId.startsWith('sensor.') &&
+        (attributes.device_class === 'signal_strength' || SIGNAL_ENTITY_SUFFIXES.some(suffix => entityId.endsWith(suffix)));
+      const stateObj = hass?.states?.[entityId];
+
+      // Legacy Zigbee2MQTT entities carry the link quality as an attribute of every entity
+      const raw = parseFloat(isSignalSensor ? entity.state : attributes.linkquality);
+      if (isNaN(raw)) {
+        return {
+          value: entity.state,
+          displayValue: stateObj ? hass.formatEntityState(stateObj) : entity.state,
+          isAlert: false,
+          numericValue: null
+        };
+      }
+
+      const unit = isSignalSensor ? attributes.unit_of_measurement : 'lqi';
+      const isLqi = !isSignalSensor || entityId.endsWith('_lqi') || entityId.includes('linkquality') ||
+        entityId.endsWith('_link_quality') || String(unit || '').toLowerCase() === 'lqi';
+      const percent = normalizeSignalStrength(raw, unit, isLqi);
+
+      let displayValue;
+      if (isSignalSensor && stateObj) {
+        displayValue = hass.formatEntityState(stateObj);
+      } else {
+        displayValue = `${raw} ${isLqi ? 'LQI' : (unit || '')}`.trim();
+      }
+
+      return {
+        value: raw,
+        displayValue: displayValue,
+        isAlert: percent < threshold,
+        numericValue: percent
+      };
+    },
+
+    // Keep the weakest reading when a device exposes several signal entities
+    combineStates: (current, next) => {
+      if (next.numericValue === null) return current;
+      if (current.numericValue === null || next.numericValue < current.numericValue) return next;
+      return current;
+    },
+
+    // Get icon for signal state
+    getIcon: (state) => {
+      if (state.numericValue === null) return 'mdi:signal-off';
+
+      const level = state.numericValue;
+      if (level >= 75) return 'mdi:signal-cellular-3';
+      if (level >= 50) return 'mdi:signal-cellular-2';
+      if (level >= 25) return 'mdi:signal-cellular-1';
+      return 'mdi:signal-cellular-outline';
+    },
+
+    // Get color for signal state
+    getColor: (state) => {
+      if (state.isUnavailable) return 'var(--disabled-text-color, #9e9e9e)';
+      if (state.numericValue === null) return '#ffa500';
+      if (state.isAlert) return '#ff0000'; // red
+      if (state.numericValue < 50) return '#ffa500'; // orange
+      return 'var(--success-color, #4caf50)';
+    },
+
+    // Get empty state message
+    emptyMessage: 'All devices have a good signal!',
+    emptyIcon: 'mdi:signal',
+
+    // Default title for badge
+    defaultTitle: 'Weak Signal',
+
+    // Severity of alerts without their own, used when combining types in one badge
+    alertSeverity: 'warning',
+
+    // Get badge color based on alert count
+    getBadgeColor: (alertCount) => {
+      if (alertCount === 0) return 'var(--success-color, #4caf50)';
+      return 'var(--label-badge-yellow, #f4b400)';
+    }
+  },
+
+  occupancy: {
+    name: 'Occupancy',
+
+    // Detect if an entity is a motion, occupancy or presence sensor
+    detect: (entityId, attributes, _state) => {
+      const deviceClass = attributes.device_class;
+      return entityId.startsWith('binary_sensor.') && (
+        deviceClass === 'motion' ||
+        deviceClass === 'occupancy' ||
+        deviceClass === 'presence'
+      );
+    },
+
+    // Evaluate if the entity state is in alert condition
+    evaluateState: (entity, config, hass) => {
+      const stateObj = hass?.states?.[entity.entity_id];
+      const isOccupied = entity.state === 'on';
+      const defaultDisplay = isOccupied ? 'Detected' : 'Clear';
+      const displayValue = stateObj ? hass.formatEntityState(stateObj) : defaultDisplay;
+      return {
+        value: entity.state,
+        displayValue: displayValue,
+        isAlert: isOccupied,
+        numericValue: null,
+        occupiedSince: isOccupied ? entity.last_changed : null
+      };
+    },
+
+    // Show how long the room has been occupied
+    getSecondaryInfo: (state) => {
+      if (!state.occupiedSince) return null;
+      const elapsed = Date.now() - new Date(state.occupiedSince).getTime();
+      if (isNaN(elapsed)) return null;
+      const label = localizationHelper.localize('labels.occupied_for') || 'Occupied for';
+      return `${label} ${formatDuration(elapsed)}`;
+    },
+
+    // Get icon for occupancy state based on its device class
+    getIcon: (state) => {
+      const deviceClass = state.attributes?.device_class;
+      const isOccupied = state.value === 'on';
+
+      if (deviceClass === 'motion') {
+        return isOccupied ? 'mdi:motion-sensor' : 'mdi:motion-sensor-off';
+      }
+      if (deviceClass === 'presence') {
+        return isOccupied ? 'mdi:home' : 'mdi:home-outline';
+      }
+      return isOccupied ? 'mdi:home-account' : 'mdi:home-outline';
+    },
+
+    // Get color for occupancy state
+    getColor: (state) => {
+      if (state.isUnavailable) return 'var(--disabled-text-color, #9e9e9e)';
+      return state.isAlert ? '#2196f3' : 'var(--disabled-text-color, #9e9e9e)';
+    },
+
+    // Get empty state message
+    emptyMessage: 'All rooms are clear!',
+    emptyIcon: 'mdi:home-outline',
+
+    // Default title for badge
+    defaultTitle: 'Occupied Rooms',
+
+    // Severity of alerts without their own, used when combining types in one badge
+    alertSeverity: 'info',
+
+    // Get badge color based on alert count
+    getBadgeColor: (alertCount) => {
+      if (alertCount === 0) return 'var(--disabled-text-color, #9e9e9e)';
+      return 'var(--label-badge-blue, #039be5)';
+    }
+  },
+
+  alarm: {
+    name: 'Alarm',
+
+    // Detect if an entity is an alarm panel partition or a siren
+    detect: (entityId, _attributes, _state) => {
+      return entityId.startsWith('alarm_control_panel.') || entityId.startsWith('siren.');
+    },
+
+    // Evaluate if the entity state is in alert condition
+    evaluateState: (entity, config, hass) => {
+      const stateObj = hass?.states?.[entity.entity_id];
+      const displayValue = stateObj ? hass.formatEntityState(stateObj) : entity.state;
+      let isAlert;
+      if (entity.entity_id.startsWith('siren.')) {
+        isAlert = entity.state === 'on';
+      } else {
+        isAlert = ALARM_ALERT_STATES.includes(entity.state) ||
+          (config.alarm_expect_armed === true && entity.state === 'disarmed');
+      }
+      return {
+        value: entity.state,
+        displayValue: displayValue,
+        isAlert: isAlert,
+        numericValue: null
+      };
+    },
+
+    // Get icon for alarm state
+    getIcon: (state) => {
+      if (state.entityId?.startsWith('siren.')) {
+        return state.value === 'on' ? 'mdi:bullhorn' : 'mdi:bullhorn-outline';
+      }
+      switch (state.value) {
+        case 'triggered': return 'mdi:bell-ring';
+        case 'pending': return 'mdi:shield-alert';
+        case 'arming': return 'mdi:shield-sync';
+        case 'disarming': return 'mdi:shield-sync-outline';
+        case 'disarmed': return 'mdi:shield-off';
+        case 'armed_home': return 'mdi:shield-home';
+        case 'armed_away': return 'mdi:shield-lock';
+        case 'armed_night': return 'mdi:shield-moon';
+        case 'armed_vacation': return 'mdi:shield-airplane';
+        case 'armed_custom_bypass': return 'mdi:security';
+        default: return 'mdi:shield';
+      }
+    },
+
+    // Get color for alarm state
+    getColor: (state) => {
+      if (state.isUnavailable) return 'var(--disabled-text-color, #9e9e9e)';
+      if (state.value === 'triggered' || (state.entityId?.startsWith('siren.') && state.value === 'on')) {
+        return '#ff0000'; // red
+      }
+      if (state.value === 'pending') return '#ff5722'; // deep orange
+      if (state.value === 'arming' || state.value === 'disarming') return '#ffa500'; // orange
+      if (state.value === 'disarmed') {
+        return state.isAlert ? '#ffc107' : 'var(--disabled-text-color, #9e9e9e)'; // amber when it should be armed
+      }
+      return 'var(--success-color, #4caf50)';
+    },
+
+    // Get empty state message
+    emptyMessage: 'All alarms are secure!',
+    emptyIcon: 'mdi:shield-check',
+
+    // Default title for badge
+    defaultTitle: 'Alarm',
+
+    // Severity of alerts without their own, used when combining types in one badge
+    alertSeverity: 'critical',
+
+    // Get badge color based on alert count
+    getBadgeColor: (alertCount) => {
+      if (alertCount === 0) return 'var(--success-color, #4caf50)';
+      return 'var(--label-badge-red, #df4c1e)';
+    }
+  },
+
+  appliance: {
+    name: 'Appliance',
+
+    // Detect robot vacuums, lawn mowers and problem sensors
+    detect: (entityId, attributes, _state) => {
+      if (entityId.startsWith('vacuum.') || entityId.startsWith('lawn_mower.')) return true;
+      return entityId.startsWith('binary_sensor.') && attributes.device_class === 'problem';
+    },
+
+    // Evaluate if the entity state is in alert condition (error, stuck or problem reported)
+    evaluateState: (entity, config, hass) => {
+      const stateObj = hass?.states?.[entity.entity_id];
+      const attributes = entity.attributes || {};
+      const defaultDisplay = stateObj ? hass.formatEntityState(stateObj) : entity.state;
+
+      if (entity.entity_id.startsWith('binary_sensor.')) {
+        return {
+          value: entity.state,
+          displayValue: defaultDisplay,
+          isAlert: entity.state === 'on',
+          numericValue: null
+        };
+      }
+
+      // Some integrations keep the state at "idle" or "paused" and only report being stuck in the status
+      const status = typeof attributes.status === 'string' ? attributes.status : '';
+      const isStuck = status.toLowerCase().includes('stuck');
+      const isError = entity.state === 'error';
+      const errorText = attributes.error || attributes.error_message || (isStuck ? status : null);
+
+      return {
+        value: entity.state,
+        displayValue: (isError || isStuck) && errorText ? String(errorText) : defaultDisplay,
+        isAlert: isError || isStuck,
+        numericValue: null
+      };
+    },
+
+    // Get icon for appliance state
+    getIcon: (state) => {
+      if (state.entityId?.startsWith('binary_sensor.')) {
+        return state.isAlert ? 'mdi:alert-circle' : 'mdi:check-circle';
+      }
+      if (state.entityId?.startsWith('lawn_mower.')) {
+        return state.isAlert ? 'mdi:robot-mower-outline' : 'mdi:robot-mower';
+      }
+      return state.isAlert ? 'mdi:robot-vacuum-alert' : 'mdi:robot-vacuum';
+    },
+
+    // Get color for appliance state
+    getColor: (state) => {
+      if (state.isUnavailable) return 'var(--disabled-text-color, #9e9e9e)';
+      return state.isAlert ? '#ff0000' : 'var(--success-color, #4caf50)';
+    },
+
+    // Get empty state message
+    emptyMessage: 'All appliances are running fine!',
+    emptyIcon: 'mdi:robot-happy',
+
+    // Default title for badge
+    defaultTitle: 'Appliance Problems',
+
+    // Severity of alerts without their own, used when combining types in one badge
+    alertSeverity: 'critical',
+
+    // Get badge color based on alert count
+    getBadgeColor: (alertCount) => {
+      if (alertCount === 0) return 'var(--success-color, #4caf50)';
+      return 'var(--label-badge-red, #df4c1e)';
+    }
+  },
+
+  consumable: {
+    name: 'Consumable',
+
+    // Detect percentage-remaining sensors for filters, brushes, ink, toner and similar parts
+    detect: (entityId, attributes, state) => {
+      if (!entityId.startsWith('sensor.') || attributes.device_class === 'battery') return false;
+      if (!getConsumableKeyword(entityId)) return false;
+
+      // Require a percent unit and reuse the battery checks to reject other units or out-of-range values
+      const unit = attributes.unit_of_measurement || attributes.native_unit_of_measurement;
+      if (!unit || !VALID_PERCENT_SIGNS.includes(String(unit).trim())) return false;
+      return validateBatteryEntity(attributes, state).valid;
+    },
+
+    // Evaluate if the entity state is in alert condition
+    evaluateState: (entity, config, hass) => {
+      const threshold = config.consumable_threshold ?? 10;
+      const stateObj = hass?.states?.[entity.entity_id];
+      const remaining = parseFloat(entity.state);
+
+      if (isNaN(remaining)) {
+        return {
+          value: entity.state,
+          displayValue: stateObj ? hass.formatEntityState(stateObj) : entity.state,
+          isAlert: false,
+          numericValue: null
+        };
+      }
+
+      return {
+        value: remaining,
+        displayValue: stateObj ? hass.formatEntityState(stateObj) : `${remaining}%`,
+        isAlert: remaining < threshold,
+        numericValue: remaining
+      };
+    },
+
+    // Get icon for the kind of consumable
+    getIcon: (state) => {
+      const keyword = getConsumableKeyword(state.entityId || '');
+      if (keyword === 'filter') return 'mdi:air-filter';
+      if (keyword === 'brush') return 'mdi:brush';
+      if (keyword === 'mop' || keyword === 'sponge') return 'mdi:spray-bottle';
+      if (keyword === 'blade' || keyword === 'blades') return 'mdi:saw-blade';
+      if (keyword === 'wick') return 'mdi:water-outline';
+      if (['ink', 'toner', 'cartridge', 'drum'].includes(keyword)) {
+        return state.isAlert ? 'mdi:printer-alert' : 'mdi:printer';
+      }
+      return 'mdi:package-variant';
+    },
+
+    // Get color for consumable state
+    getColor: (state) => {
+      if (state.isUnavailable) return 'var(--disabled-text-color, #9e9e9e)';
+      if (state.numericValue === null) return '#ffa500';
+      if (state.isAlert) return '#ff0000'; // red
+      if (state.numericValue < 25) return '#ffa500'; // orange
+      return '#44739e'; // blue
+    },
+
+    // Get empty state message
+    emptyMessage: 'No consumables need replacing!',
+    emptyIcon: 'mdi:package-variant-closed-check',
+
+    // Default title for badge
+    defaultTitle: 'Replace Soon',
+
+    // Severity of alerts without their own, used when combining types in one badge
+    alertSeverity: 'warning',
+
+    // Get badge color based on alert count
+    getBadgeColor: (alertCount) => {
+      if (alertCount === 0) return 'var(--success-color, #4caf50)';
+      return 'var(--label-badge-yellow, #f4b400)';
+    }
+  },
+
+  connectivity: {
+    name: 'Connectivity',
+
+    // Detect connectivity/problem sensors and network device trackers
+    detect: (entityId, attributes, _state) => {
+      if (entityId.startsWith('device_tracker.')) {
+        return attributes.source_type === 'router';
+      }
+      return entityId.startsWith('binary_sensor.') && (
+        attributes.device_class === 'connectivity' ||
+        attributes.device_class === 'problem'
+      );
+    },
+
+    // Evaluate if the entity state is in alert condition
+    evaluateState: (entity, config, hass) => {
+      const stateObj = hass?.states?.[entity.entity_id];
+      const deviceClass = entity.attributes?.device_class;
+      let isAlert;
+      let displayValue = stateObj ? hass.formatEntityState(stateObj) : entity.state;
+
+      if (entity.entity_id.startsWith('device_tracker.')) {
+        isAlert = entity.state === 'not_home';
+        displayValue = isAlert
+          ? localizationHelper.localize('labels.offline') || 'Offline'
+          : localizationHelper.localize('labels.online') || 'Online';
+      } else if (deviceClass === 'problem') {
+        isAlert = entity.state === 'on';
+      } else {
+        isAlert = entity.state === 'off';
+      }
+
+      return {
+        value: entity.state,
+        displayValue: displayValue,
+        isAlert: isAlert,
+        numericValue: null
+      };
+    },
+
+    // Get icon for connectivity state
+    getIcon: (state) => {
+      if (state.attributes?.device_class === 'problem') {
+        return state.isAlert ? 'mdi:alert-circle' : 'mdi:check-circle';
+      }
+      if (state.entityId?.startsWith('device_tracker.')) {
+        return state.isAlert ? 'mdi:lan-disconnect' : 'mdi:lan-connect';
+      }
+      return state.isAlert ? 'mdi:server-network-off' : 'mdi:server-network';
+    },
+
+    // Get color for connectivity state
+    getColor: (state) => {
+      if (state.isUnavailable) return 'var(--disabled-text-color, #9e9e9e)';
+      return state.isAlert ? '#ff0000' : 'var(--success-color, #4caf50)';
+    },
+
+    // Get empty state message
+    emptyMessage: 'All network devices are connected!',
+    emptyIcon: 'mdi:lan-connect',
+
+    // Default title for badge
+    defaultTitle: 'Devices Offline',
+
+    // Severity of alerts without their own, used when combining types in one badge
+    alertSeverity: 'critical',
+
+    // Get badge color based on alert count
+    getBadgeColor: (alertCount) => {
+      if (alertCount === 0) return 'var(--success-color, #4caf50)';
+      return 'var(--label-badge-red, #df4c1e)';
+    }
+  }
+};
+
+// Entity type name that is built from the card configuration instead of ENTITY_TYPES
+const CUSTOM_ENTITY_TYPE = 'custom';
+
+// Custom strategies compiled per configuration object
+const customStrategyCache = new WeakMap();
+
+// Accept a single value or a list in YAML options
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).map(item => String(item));
+};
+
+// Convert an entity_id glob (e.g. sensor.pool_*) to an anchored regular expression
+const globToRegExp = (pattern) => {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+};
+
+/**
+ * Build a strategy from the YAML options of `entity_type: custom`
+ * Entities must match every configured filter (domains, device_classes, entity_id globs);
+ * they alert when their state is in `alert_states` or a numeric state is above/below the limits.
+ */
+const compileCustomStrategy = (config) => {
+  ['above', 'below'].forEach((key) => {
+    if (config[key] !== undefined && config[key] !== null && isNaN(Number(config[key]))) {
+      throw new Error(`Invalid ${key}: ${config[key]}. Must be a number`);
+    }
+  });
+
+  const domains = toList(config.domains);
+  const deviceClasses = toList(config.device_classes);
+  const patterns = toList(config.entity_id).map(globToRegExp);
+  const alertStates = toList(config.alert_states);
+  const hasLimits = (config.above !== undefined && config.above !== null) ||
+    (config.below !== undefined && config.below !== null);
+  const icons = config.icons || {};
+  const colors = config.colors || {};
+
+  // Read a configured value by key; own keys only, so states like "constructor" are not inherited members
+  const lookup = (map, key) => (key !== undefined && key !== null && Object.hasOwn(map, key) ? map[key] : undefined);
+
+  // Look up a per-state icon/color, then the range status, then the alert/normal fallback
+  const pick = (map, state, alertDefault, normalDefault) => {
+    return lookup(map, state.value) ||
+      lookup(map, state.rangeStatus) ||
+      (state.isAlert ? (lookup(map, 'alert') || alertDefault) : (lookup(map, 'normal') || normalDefault));
+  };
+
+  return {
+    name: 'Custom',
+
+    // Detect entities matching every configured filter
+    detect: (entityId, attributes, _state) => {
+      if (!domains.length && !deviceClasses.length && !patterns.length) return false;
+      if (domains.length && !domains.includes(entityId.split('.')[0])) return false;
+      if (deviceClasses.length && !deviceClasses.includes(attributes.device_class)) return false;
+      if (patterns.length && !patterns.some(pattern => pattern.test(entityId))) return false;
+      return true;
+    },
+
+    // Evaluate if the entity state is in alert condition
+    evaluateState: (entity, _config, hass) => {
+      const stateObj = hass?.states?.[entity.entity_id];
+      const displayValue = stateObj ? hass.formatEntityState(stateObj) : entity.state;
+      const numeric = parseFloat(entity.state);
+      const rangeStatus = hasLimits && !isNaN(numeric) ? getRangeStatus(numeric, config.below, config.above) : null;
+      return {
+        value: entity.state,
+        displayValue: displayValue,
+        isAlert: alertStates.includes(String(entity.state)) || rangeStatus !== null,
+        numericValue: hasLimits && !isNaN(numeric) ? numeric : null,
+        rangeStatus
+      };
+    },
+
+    // Get icon for custom state
+    getIcon: (state) => pick(icons, state, 'mdi:alert-circle', 'mdi:check-circle'),
+
+    // Get color for custom state
+    getColor: (state) => {
+      if (state.isUnavailable) return 'var(--disabled-text-color, #9e9e9e)';
+      return pick(colors, state, '#ff0000', 'var(--success-color, #4caf50)');
+    },
+
+    // Get empty state message
+    emptyMessage: 'Nothing needs attention!',
+    emptyIcon: lookup(icons, 'normal') || 'mdi:check-circle',
+
+    // Default title for badge
+    defaultTitle: 'Device Monitor',
+
+    // Severity of alerts without their own, used when combining types in one badge
+    alertSeverity: 'critical',
+
+    // Get badge color based on alert count
+    getBadgeColor: (alertCount) => {
+      if (alertCount === 0) return 'var(--success-color, #4caf50)';
+      return lookup(colors, 'alert') || 'var(--label-badge-red, #df4c1e)';
+    }
+  };
+};
+
+// Entity types of a configuration (`entity_type` may be a single type or a list)
+const getEntityTypes = (config) => {
+  const entityType = config?.entity_type || 'battery';
+  return Array.isArray(entityType) ? entityType.map(type => String(type)) : [entityType];
+};
+
+/**
+ * Validate the configured entity types and return them as a list
+ * Custom types are compiled here so invalid YAML options are reported by setConfig
+ */
+const validateEntityTypes = (config) => {
+  const entityTypes = getEntityTypes(config);
+  if (entityTypes.length === 0) {
+    throw new Error('Invalid entity_type: the list must contain at least one entity type');
+  }
+  entityTypes.forEach((type) => {
+    if (type !== CUSTOM_ENTITY_TYPE && !ENTITY_TYPES[type]) {
+      const validTypes = [...Object.keys(ENTITY_TYPES), CUSTOM_ENTITY_TYPE];
+      throw new Error(`Invalid entity_type: ${type}. Must be one of: ${validTypes.join(', ')}`);
+    }
+  });
+  if (entityTypes.includes(CUSTOM_ENTITY_TYPE)) {
+    compileCustomStrategy(config);
+  }
+  return entityTypes;
+};
+
+// Alert severities from least to most severe, used to color badges combining several types
+const SEVERITY_RANK = { info: 1, warning: 2, critical: 3 };
+
+/**
+ * Rank the alerts of one type (higher is more severe, 0 without alerts)
+ * A device's own stateInfo.severity wins over the strategy's alertSeverity,
+ * and unavailable devices (listed with show_unavailable) rank lowest.
+ */
+const getBadgeSeverity = (strategy, alertDevices) => alertDevices.reduce((worst, device) => {
+  if (device.stateInfo?.isUnavailable) return Math.max(worst, SEVERITY_RANK.info);
+  const severity = device.stateInfo?.severity || strategy.alertSeverity;
+  return Math.max(worst, Object.hasOwn(SEVERITY_RANK, severity) ? SEVERITY_RANK[severity] : SEVERITY_RANK.warning);
+}, 0);
+
+/**
+ * Resolve the strategy for a card/badge configuration (built-in or custom)
+ */
+const getStrategy = (config) => {
+  const entityType = config?.entity_type || 'battery';
+  if (entityType !== CUSTOM_ENTITY_TYPE) {
+    return ENTITY_TYPES[entityType];
+  }
+  if (!customStrategyCache.has(config)) {
+    customStrategyCache.set(config, compileCustomStrategy(config));
+  }
+  return customStrategyCache.get(config);
+};
+
+// Functions every entity type strategy must provide
+const REQUIRED_STRATEGY_FUNCTIONS = ['detect', 'evaluateState', 'getIcon', 'getColor', 'getBadgeColor'];
+
+// Valid names for registered entity types
+const ENTITY_TYPE_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// Cards and badges configured with a plugin entity type that is not registered yet
+const elementsWaitingForTypes = new Set();
+
+// How long a card or badge waits for a plugin entity type before reporting it as invalid
+const ENTITY_TYPE_WAIT_MS = 5000;
+
+// Show the usual "Invalid entity_type" error for a type that never got registered
+const reportMissingEntityTypes = (element) => {
+  try {
+    validateEntityTypes(element._pendingConfig);
+  } catch (err) {
+    element._entityTypeError = err.message;
+  }
+};
+
+// Forget a card or badge that no longer waits, or was removed from the page
+const stopWaitingForEntityTypes = (element) => {
+  elementsWaitingForTypes.delete(element);
+  clearTimeout(element._entityTypeTimeout);
+  element._entityTypeTimeout = null;
+};
+
+/**
+ * Park a card or badge whose config uses entity types that are not registered yet
+ * Dashboard resources load in no guaranteed order, so registerEntityType configures it later.
+ * After ENTITY_TYPE_WAIT_MS the missing type is reported as invalid (most likely a typo),
+ * though a plugin registering even later still configures the element.
+ * Returns true while the element is waiting.
+ */
+const waitForEntityTypes = (element, config) => {
+  const missingTypes = getEntityTypes(config).filter(type =>
+    type !== CUSTOM_ENTITY_TYPE && !ENTITY_TYPES[type] && ENTITY_TYPE_NAME_PATTERN.test(type));
+
+  if (missingTypes.length === 0) {
+    stopWaitingForEntityTypes(element);
+    element._pendingConfig = null;
+    element._entityTypeError = null;
+    return false;
+  }
+
+  element._pendingConfig = config;
+  element._missingTypes = missingTypes;
+  element._entityTypeError = null;
+  elementsWaitingForTypes.add(element);
+
+  if (element._entityTypeWaitOver) {
+    reportMissingEntityTypes(element);
+  } else if (!element._entityTypeTimeout) {
+    element._entityTypeTimeout = setTimeout(() => {
+      element._entityTypeTimeout = null;
+      element._entityTypeWaitOver = true;
+      if (element._pendingConfig) {
+        reportMissingEntityTypes(element);
+        element.render();
+      }
+    }, ENTITY_TYPE_WAIT_MS);
+  }
+  return true;
+};
+
+/**
+ * Placeholder shown by a card or badge while it waits for its entity types
+ */
+const getWaitingForTypesMessage = (element) => {
+  if (element._entityTypeError) return element._entityTypeError;
+  const label = localizationHelper.localize('labels.waiting_for_entity_type') || 'Waiting for entity type';
+  return `${label}: ${element._missingTypes.join(', ')}`;
+};
+
+/**
+ * Register an entity type strategy from another resource (see README "Plugin API")
+ * The strategy must follow the same shape as the built-in ENTITY_TYPES entries.
+ */
+const registerEntityType = (name, strategy) => {
+  if (typeof name !== 'string' || !ENTITY_TYPE_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid entity type name: ${name}. Use lowercase letters, digits and underscores`);
+  }
+  if (name === CUSTOM_ENTITY_TYPE || ENTITY_TYPES[name]) {
+    throw new Error(`Entity type "${name}" is already registered`);
+  }
+  if (!strategy || typeof strategy !== 'object') {
+    throw new Error(`Invalid strategy for entity type "${name}"`);
+  }
+  const missing = REQUIRED_STRATEGY_FUNCTIONS.filter(key => typeof strategy[key] !== 'function');
+  if (missing.length) {
+    throw new Error(`Strategy for entity type "${name}" is missing: ${missing.join(', ')}`);
+  }
+  ['getSecondaryInfo', 'getRowAction', 'combineStates'].forEach((key) => {
+    if (strategy[key] !== undefined && typeof strategy[key] !== 'function') {
+      throw new Error(`Strategy for entity type "${name}" has an invalid ${key}: must be a function`);
+    }
+  });
+  if (strategy.alertSeverity !== undefined && !Object.hasOwn(SEVERITY_RANK, strategy.alertSeverity)) {
+    throw new Error(`Strategy for entity type "${name}" has an invalid alertSeverity: must be one of ${Object.keys(SEVERITY_RANK).join(', ')}`);
+  }
+
+  ENTITY_TYPES[name] = {
+    name: name,
+    emptyMessage: 'All devices are OK!',
+    emptyIcon: 'mdi:check-circle',
+    defaultTitle: 'Device Monitor',
+    alertSeverity: 'warning',
+    ...strategy
+  };
+
+  // Configure the cards and badges that were set up before this type existed
+  elementsWaitingForTypes.forEach((element) => {
+    try {
+      element.setConfig(element._pendingConfig);
+    } catch (err) {
+      console.error(`[Device Monitor] Failed to apply configuration after registering "${name}":`, err);
+    }
+  });
+};
+
+/**
+ * Render the entity type <option> list for the editors (built-in, registered and custom types)
+ * `selected` is a single type or a list of types.
+ */
+const renderEntityTypeOptions = (selected, l) => [...Object.keys(ENTITY_TYPES), CUSTOM_ENTITY_TYPE]
+  .map((key) => {
+    const label = l(`entity_type_${key}`) || ENTITY_TYPES[key]?.name || key;
+    return `<option value="${key}" ${[].concat(selected).includes(key) ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+  })
+  .join('');
+
+/**
+ * Read the entity type <select> of the editors
+ * Returns a single type, a list when several are selected, or undefined when none is.
+ */
+const readEntityTypeSelect = (select) => {
+  const types = Array.from(select.selectedOptions, option => option.value);
+  return types.length > 1 ? types : types[0];
+};
+
+class DeviceMonitorCard extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this._config = {};
+    this._expandedSections = {};
+    this._forecasts = {};
+    this._batteryReplacements = {};
+  }
+
+  /**
+   * Pick up a plugin entity type registered while the card was off the page
+   */
+  connectedCallback() {
+    if (this._pendingConfig) {
+      this.setConfig(this._pendingConfig);
+    }
+  }
+
+  /**
+   * Stop waiting for plugin entity types once the card is removed
+   */
+  disconnectedCallback() {
+    stopWaitingForEntityTypes(this);
+  }
+
+  /**
+   * Called when the card configuration is set
+   */
+  setConfig(config) {
+    if (!config) {
+      throw new Error('Invalid configuration');
+    }
+
+    // Plugin entity types may register after the card is created
+    if (waitForEntityTypes(this, config)) {
+      this.render();
+      return;
+    }
+
+    const entityType = config.entity_type || 'battery';
+    const entityTypes = validateEntityTypes(config);
+    const defaultTitle = getDefaultTitle(entityTypes.length > 1 ? 'multiple' : entityTypes[0]);
+
+    this._config = {
+      entity_type: entityType,
+      filter: config.filter || 'alert',
+      show_unavailable: config.show_unavailable || false,
+      battery_threshold: config.battery_threshold || 20,
+      title: config.title || defaultTitle,
+      debug: config.debug || false,
+      collapse: config.collapse,
+      group_by: config.group_by || null,
+      sort_by: config.sort_by || 'state',
+      show_toggle: config.show_toggle || false,
+      show_install: config.show_install || false,
+      show_stop: config.show_stop || false,
+      show_forecast: config.show_forecast || false,
+      show_replaced: config.show_replaced || false,
+      name_source: config.name_source || 'device',
+      ...config
+    };
+
+    // One config per entity type so every section resolves its own strategy
+    this._typeConfigs = entityTypes.map(type => ({ ...this._config, entity_type: type }));
+
+    this.render();
+  }
+
+  /**
+   * Called when hass object is updated
+   */
+  set hass(hass) {
+    this._hass = hass;
+    if (this._config.show_replaced && !this._batteryReplacementsRequested) {
+      this._loadBatteryReplacements();
+    }
+    this.render();
+  }
+
+  /**
+   * Get the card size for layout purposes
+   */
+  getCardSize() {
+    return 3;
+  }
+
+  /**
+   * Get all devices for one configured entity type
+   */
+  _getDevices(config) {
+    const { alertDevices, normalDevices, unavailableDevices, totalDevices } = collectDevices(this._hass, config, {
+      includeArea: true,
+      debug: this._config.debug,
+      debugTag: 'Card'
+    });
+
+    const includeUnavailable = this._config.show_unavailable;
+
+    // Clone arrays to avoid mutating original collections
+    let alerts = [...alertDevices];
+    let normals = [...normalDevices];
+
+    if (config.entity_type === 'battery' && this._isForecastEnabled()) {
+      alerts = alerts.map(device => this._withForecast(device));
+      normals = normals.map(device => this._withForecast(device));
+    }
+
+    if (config.entity_type === 'battery' && this._config.show_replaced) {
+      alerts = alerts.map(device => this._withReplacement(device));
+      normals = normals.map(device => this._withReplacement(device));
+    }
+
+    if (includeUnavailable) {
+      const unavailableIds = new Set(unavailableDevices.map(d => d.entityId));
+      const alertIds = new Set(alerts.map(d => d.entityId));
+
+      unavailableDevices.forEach(device => {
+        if (!alertIds.has(device.entityId)) {
+          alerts.push(device);
+        }
+      });
+
+      normals = normals.filter(d => !unavailableIds.has(d.entityId));
     } else {
       alerts = alerts.filter(d => !d.stateInfo.isUnavailable);
       normals = normals.filter(d => !d.stateInfo.isUnavailable);
@@ -981,6 +2926,146 @@ class DeviceMonitorCard extends HTMLElement {
     };
   }
 
+  /**
+   * Whether battery forecasts are shown or used for sorting
+   */
+  _isForecastEnabled() {
+    return Boolean(this._config.show_forecast || this._config.sort_by === 'forecast');
+  }
+
+  /**
+   * Attach the estimated empty date to a battery, based on its live level
+   * `visible` is false when the forecast is only used for sorting.
+   */
+  _withForecast(device) {
+    const drainRate = this._forecasts[device.entityId]?.drainRate;
+    const emptyAt = forecastEmptyTime(device.stateInfo.numericValue ?? NaN, drainRate);
+    if (emptyAt === null) return device;
+    const forecast = { drainRate, emptyAt, visible: Boolean(this._config.show_forecast) };
+    return { ...device, stateInfo: { ...device.stateInfo, forecast } };
+  }
+
+  /**
+   * Fetch recorder history for the given batteries and compute their drain rates
+   * Runs at most once per FORECAST_REFRESH_MS unless the set of batteries changes
+   */
+  async _updateForecasts(entityIds) {
+    if (!this._hass?.callWS || this._forecastLoading || entityIds.length === 0) return;
+
+    const key = [...entityIds].sort().join(',');
+    const now = Date.now();
+    if (key === this._forecastKey && now - this._forecastFetchedAt < FORECAST_REFRESH_MS) return;
+
+    // Remember the attempt up front so a failing recorder is not queried on every update
+    this._forecastKey = key;
+    this._forecastFetchedAt = now;
+    this._forecastLoading = true;
+
+    try {
+      const history = await this._hass.callWS({
+        type: 'history/history_during_period',
+        start_time: new Date(now - FORECAST_HISTORY_DAYS * MS_PER_DAY).toISOString(),
+        entity_ids: entityIds,
+        minimal_response: true,
+        no_attributes: true
+      });
+
+      const forecasts = {};
+      entityIds.forEach((entityId) => {
+        const drainRate = calculateDrainRate(parseHistorySamples(history?.[entityId]));
+        if (drainRate !== null) {
+          forecasts[entityId] = { drainRate };
+        }
+      });
+      this._forecasts = forecasts;
+
+      if (this._config.debug) {
+        console.log('[Device Monitor] Battery forecasts:', forecasts);
+      }
+      this._renderCard();
+    } catch (err) {
+      console.warn('[Device Monitor Card] Failed to fetch battery history:', err);
+    } finally {
+      this._forecastLoading = false;
+    }
+  }
+
+  /**
+   * Load replacement dates recorded for batteries without Battery Notes
+   */
+  async _loadBatteryReplacements() {
+    if (!this._hass?.callWS) return;
+    this._batteryReplacementsRequested = true;
+
+    try {
+      const result = await this._hass.callWS({
+        type: 'frontend/get_user_data',
+        key: BATTERY_REPLACED_USER_DATA_KEY
+      });
+      this._batteryReplacements = { ...(result?.value || {}), ...this._batteryReplacements };
+      this._renderCard();
+    } catch (err) {
+      console.warn('[Device Monitor Card] Failed to load battery replacements:', err);
+      // Load again on a hass update once the retry delay has passed
+      setTimeout(() => {
+        this._batteryReplacementsRequested = false;
+      }, BATTERY_REPLACED_RETRY_MS);
+    }
+  }
+
+  /**
+   * Use a replacement date stored from this card when it is newer than the Battery Notes one
+   */
+  _withReplacement(device) {
+    const stored = this._batteryReplacements[device.entityId];
+    const notes = device.stateInfo.batteryNotes;
+    if (!stored || (notes?.lastReplaced && new Date(notes.lastReplaced) >= new Date(stored))) {
+      return device;
+    }
+    const batteryNotes = { type: null, quantity: 1, ...notes, lastReplaced: stored };
+    return { ...device, stateInfo: { ...device.stateInfo, batteryNotes } };
+  }
+
+  /**
+   * Record a battery replacement with Battery Notes, or in frontend user data
+   * when Battery Notes is not installed or does not document the device
+   */
+  async _markBatteryReplaced(entityId) {
+    const deviceId = registryHelpers.getDeviceId(this._hass, entityId);
+    const hasBatteryNotes = Boolean(this._hass.services?.battery_notes?.set_battery_replaced) &&
+      getBatteryNotes(this._hass, entityId, this._hass.states[entityId]?.attributes) !== null;
+
+    if (deviceId && hasBatteryNotes) {
+      try {
+        await this._hass.callService('battery_notes', 'set_battery_replaced', { device_id: deviceId });
+      } catch (err) {
+        console.warn('[Device Monitor Card] Failed to record battery replacement with Battery Notes:', err);
+      }
+      return;
+    }
+
+    const replacedAt = new Date().toISOString();
+    this._batteryReplacements = { ...this._batteryReplacements, [entityId]: replacedAt };
+    this._renderCard();
+
+    try {
+      // Read the stored dates first, so saving never drops ones that are not loaded here yet
+      const result = await this._hass.callWS({
+        type: 'frontend/get_user_data',
+        key: BATTERY_REPLACED_USER_DATA_KEY
+      });
+      const stored = { ...(result?.value || {}), [entityId]: replacedAt };
+      await this._hass.callWS({
+        type: 'frontend/set_user_data',
+        key: BATTERY_REPLACED_USER_DATA_KEY,
+        value: stored
+      });
+      this._batteryReplacements = { ...stored, ...this._batteryReplacements };
+    } catch (err) {
+      console.warn('[Device Monitor Card] Failed to save battery replacement:', err);
+    }
+  }
+
   /**
    * Group devices by configured grouping option
    */
@@ -991,7 +3076,7 @@ class DeviceMonitorCard extends HTMLElement {
       return devices;
     }
 
-    // Group devices by area or floor
+    // Group devices by area, floor or battery type
     const grouped = {};
     devices.forEach(device => {
       let groupKey = 'Unknown';
@@ -1002,6 +3087,8 @@ class DeviceMonitorCard extends HTMLElement {
         // Get floor from area
         const floorId = device.areaId ? registryHelpers.getFloorId(this._hass, device.areaId) : null;
         groupKey = floorId ? registryHelpers.getFloorName(this._hass, floorId) : 'No Floor';
+      } else if (groupBy === 'battery_type') {
+        groupKey = device.stateInfo.batteryNotes?.type || 'No Battery Type';
       }
 
       if (!grouped[groupKey]) {
@@ -1076,6 +3163,16 @@ class DeviceMonitorCard extends HTMLElement {
       });
     } else if (sortBy === 'last_changed') {
       sorted.sort((a, b) => new Date(b.lastChanged) - new Date(a.lastChanged));
+    } else if (sortBy === 'forecast') {
+      // Soonest empty first, batteries without a forecast last
+      sorted.sort((a, b) => {
+        const aEmpty = a.stateInfo.forecast?.emptyAt ?? Infinity;
+        const bEmpty = b.stateInfo.forecast?.emptyAt ?? Infinity;
+        if (aEmpty !== bEmpty) return aEmpty - bEmpty;
+        const aName = useEntityName ? a.entityName : a.deviceName;
+        const bName = useEntityName ? b.entityName : b.deviceName;
+        return aName.localeCompare(bName);
+      });
     } else { // 'state' is default
       // For batteries, sort by level (lowest first)
       // For others, sort by name
@@ -1099,8 +3196,8 @@ class DeviceMonitorCard extends HTMLElement {
    * Open device page
    */
   _openDevice(deviceId) {
-    // Check if this is a group entity (entity ID passed as deviceId for groups)
-    if (registryHelpers.isGroupEntity(deviceId)) {
+    // Check if this is a group or device-less entity (entity ID passed as deviceId)
+    if (registryHelpers.isGroupEntity(deviceId) || this._hass?.states?.[deviceId]) {
       // For groups, show the entity details in more-info dialog
       const event = new Event('hass-more-info', {
         bubbles: true,
@@ -1124,16 +3221,37 @@ class DeviceMonitorCard extends HTMLElement {
   }
 
   /**
-   * Toggle light state
+   * Toggle entity state using the turn_on/turn_off services of its own domain
    */
-  _toggleLight(entityId, currentState) {
+  _toggleEntity(entityId, currentState) {
     if (!this._hass) return;
 
+    const domain = entityId.split('.')[0];
     const service = currentState === 'on' ? 'turn_off' : 'turn_on';
-    this._hass.callService('light', service, { entity_id: entityId });
+    this._hass.callService(domain, service, { entity_id: entityId });
+
+    if (this._config.debug) {
+      console.log(`[Device Monitor] Toggling ${domain} ${entityId} to ${service === 'turn_on' ? 'on' : 'off'}`);
+    }
+  }
+
+  /**
+   * Call the service behind a strategy row action (e.g. update.install)
+   */
+  _callRowAction(service, entityId) {
+    if (!this._hass || !service) return;
+
+    if (service === BATTERY_REPLACED_SERVICE) {
+      this._markBatteryReplaced(entityId);
+      return;
+    }
+
+    const [domain, serviceName] = service.split('.');
+    if (!domain || !serviceName) return;
+    this._hass.callService(domain, serviceName, { entity_id: entityId });
 
     if (this._config.debug) {
-      console.log(`[Device Monitor] Toggling light ${entityId} to ${service === 'turn_on' ? 'on' : 'off'}`);
+      console.log(`[Device Monitor] Calling ${service} for ${entityId}`);
     }
   }
 
@@ -1198,13 +3316,17 @@ class DeviceMonitorCard extends HTMLElement {
   /**
    * Render a single device row
    */
-  _renderDevice(device) {
-    const strategy = ENTITY_TYPES[this._config.entity_type];
+  _renderDevice(device, strategy) {
     const stateInfo = { ...device.stateInfo, attributes: device.attributes, entityId: device.entityId };
-    const isLight = this._config.entity_type === 'light';
     const isUnavailable = stateInfo.isUnavailable;
-    const showToggle = this._config.show_toggle && isLight && !isUnavailable;
+    const showToggle = this._config.show_toggle && strategy.supportsToggle && !isUnavailable;
     const isOn = device.stateInfo.value === 'on';
+    const rowAction = strategy.getRowAction && this._config[strategy.rowActionOption] && !isUnavailable
+      ? strategy.getRowAction(stateInfo)
+      : null;
+    const secondaryInfo = strategy.getSecondaryInfo && !isUnavailable
+      ? strategy.getSecondaryInfo(stateInfo)
+      : null;
 
     // Use custom icon if set, otherwise use strategy icon
     const customIcon = device.attributes?.icon;
@@ -1227,7 +3349,7 @@ class DeviceMonitorCard extends HTMLElement {
         <div class="device-info">
           <div class="${nameClass}">${displayName}</div>
           <div class="device-secondary">
-            ${localizationHelper.localize('labels.last_changed')}: ${this._formatLastChanged(device.lastChanged)}
+            ${secondaryInfo ? `${escapeHtml(secondaryInfo)} · ` : ''}${localizationHelper.localize('labels.last_changed')}: ${this._formatLastChanged(device.lastChanged)}
           </div>
         </div>
         ${showToggle ? `
@@ -1241,11 +3363,49 @@ class DeviceMonitorCard extends HTMLElement {
           <div class="${stateValueClass}">
             ${stateValue}
           </div>
+          ${rowAction ? `
+            <div class="row-action-container">
+              <button
+                class="row-action"
+                type="button"
+                data-entity-id="${device.entityId}"
+                data-service="${rowAction.service}"
+                title="${rowAction.label}"
+                aria-label="${rowAction.label}"
+                ${rowAction.disabled ? 'disabled' : ''}
+              >
+                <ha-icon icon="${rowAction.icon}"></ha-icon>
+              </button>
+            </div>
+          ` : ''}
         `}
       </div>
     `;
   }
 
+  /**
+   * Summarize the batteries to buy for the low devices (e.g. "4× CR2032, 2× AAA")
+   * Only low or critical batteries documented with Battery Notes are counted,
+   * not rows listed because they are stale or unavailable
+   */
+  _getBatteryShoppingList(sections) {
+    const needed = {};
+    sections
+      .filter(section => section.entityType === 'battery')
+      .forEach((section) => {
+        section.alertDevices.forEach((device) => {
+          const notes = device.stateInfo?.batteryNotes;
+          if (device.isGroupHeader || !device.stateInfo?.severity || !notes?.type) return;
+          needed[notes.type] = (needed[notes.type] || 0) + notes.quantity;
+        });
+      });
+
+    return Object.keys(needed)
+      .sort((a, b) => needed[b] - needed[a] || a.localeCompare(b))
+      .map(type => `${needed[type]}× ${type}`)
+      .join(', ');
+  }
+
   /**
    * Render a group header
    */
@@ -1256,10 +3416,10 @@ class DeviceMonitorCard extends HTMLElement {
   }
 
   /**
-   * Toggle expanded state
+   * Toggle expanded state of one entity type section
    */
-  _toggleExpanded() {
-    this._expanded = !this._expanded;
+  _toggleExpanded(entityType) {
+    this._expandedSections[entityType] = !this._expandedSections[entityType];
     this.render();
   }
 
@@ -1286,6 +3446,18 @@ class DeviceMonitorCard extends HTMLElement {
    * Render the card
    */
   render() {
+    if (this._pendingConfig) {
+      const message = escapeHtml(getWaitingForTypesMessage(this));
+      this.shadowRoot.innerHTML = `
+        <ha-card>
+          <div class="card-content">
+            ${this._entityTypeError ? `<ha-alert alert-type="error">${message}</ha-alert>` : message}
+          </div>
+        </ha-card>
+      `;
+      return;
+    }
+
     if (!this._hass) {
       this.shadowRoot.innerHTML = `
         <ha-card>
@@ -1306,27 +3478,30 @@ class DeviceMonitorCard extends HTMLElement {
   }
 
   _renderCard() {
-    const { alertDevices, normalDevices, totalDevices } = this._getDevices();
-    const strategy = ENTITY_TYPES[this._config.entity_type];
-    const showAll = this._config.filter === 'all';
-    const collapseLimit = this._config.collapse;
-    const emptyMessage = getEmptyMessage(this._config.entity_type, strategy);
-
-    // Determine which devices to show
-    let devicesToShow = showAll
-      ? [...alertDevices, ...normalDevices]
-      : alertDevices;
-
-    // Apply collapse logic
-    const shouldCollapse = collapseLimit && devicesToShow.length > collapseLimit;
-    const displayDevices = shouldCollapse && !this._expanded
-      ? devicesToShow.slice(0, collapseLimit)
-      : devicesToShow;
-
-    const hiddenCount = shouldCollapse ? devicesToShow.length - collapseLimit : 0;
-
-    // Count only actual devices, not group headers
-    const alertCount = alertDevices.filter(d => !d.isGroupHeader).length;
+    const sections = this._typeConfigs.map((config) => {
+      const { alertDevices, normalDevices, totalDevices } = this._getDevices(config);
+      return {
+        entityType: config.entity_type,
+        strategy: getStrategy(config),
+        alertDevices,
+        normalDevices,
+        totalDevices,
+        // Count only actual devices, not group headers
+        alertCount: alertDevices.filter(d => !d.isGroupHeader).length
+      };
+    });
+    const isMultiType = sections.length > 1;
+    const alertCount = sections.reduce((sum, section) => sum + section.alertCount, 0);
+    const totalDevices = sections.reduce((sum, section) => sum + section.totalDevices, 0);
+
+    if (this._isForecastEnabled()) {
+      const batteryIds = sections
+        .filter(section => section.entityType === 'battery')
+        .flatMap(section => [...section.alertDevices, ...section.normalDevices])
+        .filter(device => !device.isGroupHeader && device.stateInfo.numericValue !== null)
+        .map(device => device.entityId);
+      this._updateForecasts(batteryIds);
+    }
 
     // Check visibility setting (hide card when set to "alert only" and there are no alerts)
     // But always show in edit mode so user can configure it
@@ -1340,6 +3515,25 @@ class DeviceMonitorCard extends HTMLElement {
 
     const title = `${this._config.title} (${alertCount}/${totalDevices})`;
 
+    // Separate critical/warning/stale counts for strategies that grade their alerts
+    // A stale battery that is also low counts once, under its severity
+    const severityCounts = { critical: 0, warning: 0 };
+    let staleCount = 0;
+    sections.forEach((section) => {
+      section.alertDevices.forEach((device) => {
+        const severity = device.stateInfo?.severity;
+        if (severity && severityCounts[severity] !== undefined) {
+          severityCounts[severity]++;
+        } else if (device.stateInfo?.isStale) {
+          staleCount++;
+        }
+      });
+    });
+    const hasSeverityCounts = severityCounts.critical > 0 || severityCounts.warning > 0 || staleCount > 0;
+
+    const shoppingList = this._getBatteryShoppingList(sections);
+    const shoppingLabel = localizationHelper.localize('labels.batteries_needed') || '{batteries} needed';
+
     this.shadowRoot.innerHTML = `
       <style>
         ha-card {
@@ -1360,6 +3554,31 @@ class DeviceMonitorCard extends HTMLElement {
           padding: 0 16px 16px 16px;
         }
 
+        .severity-counts {
+          display: flex;
+          gap: 8px;
+          font-size: 0.7em;
+          font-weight: 500;
+        }
+
+        .severity-count {
+          padding: 2px 8px;
+          border-radius: 12px;
+          color: white;
+        }
+
+        .severity-count.critical {
+          background: #ff0000;
+        }
+
+        .severity-count.warning {
+          background: #ffa500;
+        }
+
+        .severity-count.stale {
+          background: var(--secondary-text-color, #727272);
+        }
+
         .device-list {
           display: flex;
           flex-direction: column;
@@ -1485,6 +3704,37 @@ class DeviceMonitorCard extends HTMLElement {
           opacity: 0.8;
         }
 
+        .row-action-container {
+          margin-left: 8px;
+          flex-shrink: 0;
+        }
+
+        .row-action {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          padding: 6px;
+          border: 1px solid var(--divider-color, #e0e0e0);
+          border-radius: 50%;
+          background: transparent;
+          color: var(--primary-color, #03a9f4);
+          cursor: pointer;
+        }
+
+        .row-action:hover {
+          background: var(--secondary-background-color, rgba(0, 0, 0, 0.05));
+        }
+
+        .row-action:disabled {
+          color: var(--disabled-text-color, #9e9e9e);
+          cursor: default;
+        }
+
+        .row-action ha-icon {
+          width: 20px;
+          height: 20px;
+        }
+
         .divider {
           height: 1px;
           background: var(--divider-color, #e0e0e0);
@@ -1531,6 +3781,57 @@ class DeviceMonitorCard extends HTMLElement {
           font-size: 1.1em;
         }
 
+        .empty-state.compact {
+          display: flex;
+          align-items: center;
+          padding: 4px 0;
+          text-align: left;
+        }
+
+        .empty-state.compact ha-icon {
+          width: 24px;
+          height: 24px;
+          margin: 0 12px 0 0;
+        }
+
+        .empty-state.compact .empty-state-text {
+          font-size: 1em;
+        }
+
+        .type-section + .type-section {
+          margin-top: 16px;
+        }
+
+        .section-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding-bottom: 4px;
+          margin-bottom: 8px;
+          border-bottom: 1px solid var(--divider-color, #e0e0e0);
+          font-weight: 500;
+          color: var(--primary-text-color);
+        }
+
+        .section-count {
+          font-size: 0.9em;
+          color: var(--secondary-text-color);
+        }
+
+        .card-footer {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 0 16px 16px 16px;
+          font-size: 0.9em;
+          color: var(--secondary-text-color);
+        }
+
+        .card-footer ha-icon {
+          width: 20px;
+          height: 20px;
+        }
+
         @media (max-width: 600px) {
           .device-name {
             font-size: 0.95em;
@@ -1543,50 +3844,41 @@ class DeviceMonitorCard extends HTMLElement {
       </style>
 
       <ha-card>
-        <div class="card-header">${title}</div>
+        <div class="card-header">
+          <span>${title}</span>
+          ${hasSeverityCounts ? `
+            <span class="severity-counts">
+              ${severityCounts.critical > 0 ? `<span class="severity-count critical">${severityCounts.critical} ${localizationHelper.localize('labels.critical') || 'critical'}</span>` : ''}
+              ${severityCounts.warning > 0 ? `<span class="severity-count warning">${severityCounts.warning} ${localizationHelper.localize('labels.warning') || 'warning'}</span>` : ''}
+              ${staleCount > 0 ? `<span class="severity-count stale">${staleCount} ${localizationHelper.localize('labels.stale') || 'stale'}</span>` : ''}
+            </span>
+          ` : ''}
+        </div>
         <div class="card-content">
-          ${alertDevices.length === 0 && !showAll ? `
-            <div class="empty-state">
-              <ha-icon icon="${strategy.emptyIcon}"></ha-icon>
-              <div class="empty-state-text">${emptyMessage}</div>
-            </div>
-          ` : `
-            <div class="device-list">
-              ${displayDevices.map((device, index) => {
-    // Handle group headers
-    if (device.isGroupHeader) {
-      return this._renderGroupHeader(device.groupName);
-    }
-
-    // Add divider between alert and normal devices (only if not grouped)
-    const needsDivider = showAll &&
-        !this._config.group_by &&
-        index === alertDevices.length &&
-        alertDevices.length > 0 &&
-        normalDevices.length > 0;
-
-    return (needsDivider ? '<div class="divider"></div>' : '') +
-        this._renderDevice(device);
-  }).join('')}
-            </div>
-            ${shouldCollapse ? `
-              <div class="expand-button" id="expand-button">
-                ${this._expanded
-    ? 'Show less<ha-icon icon="mdi:chevron-up"></ha-icon>'
-    : `Show ${hiddenCount} more<ha-icon icon="mdi:chevron-down"></ha-icon>`
-}
+          ${isMultiType ? sections.map(section => `
+            <div class="type-section">
+              <div class="section-header">
+                <span>${getDefaultTitle(section.entityType)}</span>
+                <span class="section-count">${section.alertCount}/${section.totalDevices}</span>
               </div>
-            ` : ''}
-          `}
+              ${this._renderSection(section, true)}
+            </div>
+          `).join('') : this._renderSection(sections[0], false)}
         </div>
+        ${shoppingList ? `
+          <div class="card-footer">
+            <ha-icon icon="mdi:cart-outline"></ha-icon>
+            <span>${escapeHtml(shoppingLabel.replace('{batteries}', shoppingList))}</span>
+          </div>
+        ` : ''}
       </ha-card>
     `;
 
     // Add click handlers for device items
     this.shadowRoot.querySelectorAll('.device-item').forEach(item => {
       item.addEventListener('click', (e) => {
-        // Don't navigate if clicking on toggle
-        if (e.target.closest('.toggle-switch')) {
+        // Don't navigate if clicking on toggle or row action
+        if (e.target.closest('.toggle-switch') || e.target.closest('.row-action')) {
           return;
         }
         const deviceId = item.getAttribute('data-device-id');
@@ -1600,15 +3892,86 @@ class DeviceMonitorCard extends HTMLElement {
         e.stopPropagation();
         const entityId = toggle.getAttribute('data-entity-id');
         const currentState = toggle.checked ? 'off' : 'on'; // Inverted because checkbox already changed
-        this._toggleLight(entityId, currentState);
+        this._toggleEntity(entityId, currentState);
+      });
+    });
+
+    // Add click handlers for row action buttons
+    this.shadowRoot.querySelectorAll('.row-action').forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const entityId = button.getAttribute('data-entity-id');
+        const service = button.getAttribute('data-service');
+        this._callRowAction(service, entityId);
       });
     });
 
-    // Add click handler for expand button
-    const expandButton = this.shadowRoot.querySelector('#expand-button');
-    if (expandButton) {
-      expandButton.addEventListener('click', () => this._toggleExpanded());
+    // Add click handlers for expand buttons
+    this.shadowRoot.querySelectorAll('.expand-button').forEach(button => {
+      button.addEventListener('click', () => this._toggleExpanded(button.getAttribute('data-entity-type')));
+    });
+  }
+
+  /**
+   * Render the device list (or empty state) of one entity type
+   */
+  _renderSection(section, compact) {
+    const { entityType, strategy, alertDevices, normalDevices } = section;
+    const showAll = this._config.filter === 'all';
+    const collapseLimit = this._config.collapse;
+    const isExpanded = Boolean(this._expandedSections[entityType]);
+    const emptyMessage = getEmptyMessage(entityType, strategy);
+
+    if (alertDevices.length === 0 && !showAll) {
+      return `
+        <div class="empty-state${compact ? ' compact' : ''}">
+          <ha-icon icon="${strategy.emptyIcon}"></ha-icon>
+          <div class="empty-state-text">${emptyMessage}</div>
+        </div>
+      `;
+    }
+
+    // Determine which devices to show
+    const devicesToShow = showAll
+      ? [...alertDevices, ...normalDevices]
+      : alertDevices;
+
+    // Apply collapse logic
+    const shouldCollapse = collapseLimit && devicesToShow.length > collapseLimit;
+    const displayDevices = shouldCollapse && !isExpanded
+      ? devicesToShow.slice(0, collapseLimit)
+      : devicesToShow;
+
+    const hiddenCount = shouldCollapse ? devicesToShow.length - collapseLimit : 0;
+
+    return `
+      <div class="device-list">
+        ${displayDevices.map((device, index) => {
+    // Handle group headers
+    if (device.isGroupHeader) {
+      return this._renderGroupHeader(device.groupName);
     }
+
+    // Add divider between alert and normal devices (only if not grouped)
+    const needsDivider = showAll &&
+        !this._config.group_by &&
+        index === alertDevices.length &&
+        alertDevices.length > 0 &&
+        normalDevices.length > 0;
+
+    return (needsDivider ? '<div class="divider"></div>' : '') +
+        this._renderDevice(device, strategy);
+  }).join('')}
+      </div>
+      ${shouldCollapse ? `
+        <div class="expand-button" data-entity-type="${entityType}">
+          ${isExpanded
+    ? 'Show less<ha-icon icon="mdi:chevron-up"></ha-icon>'
+    : `Show ${hiddenCount} more<ha-icon icon="mdi:chevron-down"></ha-icon>`
+}
+        </div>
+      ` : ''}
+    `;
   }
 
   /**
@@ -1619,7 +3982,8 @@ class DeviceMonitorCard extends HTMLElement {
       entity_type: 'battery',
       filter: 'alert',
       show_unavailable: false,
-      battery_threshold: 20,
+      warning_threshold: 20,
+      critical_threshold: 10,
       title: 'Low Battery',
       card_visibility: 'always',
       debug: false,
@@ -1627,6 +3991,10 @@ class DeviceMonitorCard extends HTMLElement {
       group_by: null,
       sort_by: 'state',
       show_toggle: false,
+      show_install: false,
+      show_stop: false,
+      show_forecast: false,
+      show_replaced: false,
       name_source: 'device'
     };
   }
@@ -1730,9 +4098,20 @@ class DeviceMonitorCardEditor extends HTMLElement {
     }
 
     const l = (key) => localizationHelper.localize(`editor.${key}`);
-    const entityType = this._config.entity_type || 'battery';
-    const showBatteryThreshold = entityType === 'battery';
-    const showToggleOption = entityType === 'light';
+    const entityTypes = getEntityTypes(this._config);
+    const hasType = type => entityTypes.includes(type);
+    const showBatteryThreshold = hasType('battery');
+    const showUnavailableOption = entityTypes.some(type => type !== 'availability');
+    const showConsumableThreshold = hasType('consumable');
+    const showSignalThreshold = hasType('signal');
+    const showAlarmOption = hasType('alarm');
+    const showHumidityRange = hasType('humidity');
+    const showTemperatureRange = hasType('temperature');
+    const showToggleOption = entityTypes.some(type => ENTITY_TYPES[type]?.supportsToggle);
+    const showInstallOption = hasType('update');
+    const showStopOption = hasType('media_player');
+    const showForecastOption = hasType('battery');
+    const showReplacedOption = hasType('battery');
     const excludeConfig = normalizeExcludeConfig(this._config.exclude);
     const excludeRules = excludeConfig.rules || [];
     const excludeRuleCount = excludeRules.length;
@@ -1925,11 +4304,8 @@ class DeviceMonitorCardEditor extends HTMLElement {
             <label>${l('entity_type')}</label>
             <div class="description">${l('entity_type_description')}</div>
           </div>
-          <select id="entity_type">
-            <option value="battery" ${entityType === 'battery' ? 'selected' : ''}>${l('entity_type_battery')}</option>
-            <option value="contact" ${entityType === 'contact' ? 'selected' : ''}>${l('entity_type_contact')}</option>
-            <option value="lock" ${entityType === 'lock' ? 'selected' : ''}>${l('entity_type_lock')}</option>
-            <option value="light" ${entityType === 'light' ? 'selected' : ''}>${l('entity_type_light')}</option>
+          <select id="entity_type" multiple size="6">
+            ${renderEntityTypeOptions(entityTypes, l)}
           </select>
         </div>
 
@@ -1944,7 +4320,7 @@ class DeviceMonitorCardEditor extends HTMLElement {
           </select>
         </div>
 
-        <div class="option">
+        <div class="option ${showUnavailableOption ? '' : 'hidden'}" id="show_unavailable_option">
           <div class="label-container">
             <label>${l('show_unavailable')}</label>
             <div class="description">${l('show_unavailable_description')}</div>
@@ -2005,17 +4381,141 @@ class DeviceMonitorCardEditor extends HTMLElement {
           </details>
         </div>
 
-        <div class="option ${showBatteryThreshold ? '' : 'hidden'}" id="battery_threshold_option">
+        <div class="option ${showBatteryThreshold ? '' : 'hidden'}" id="battery_threshold_option">
+          <div class="label-container">
+            <label>${l('warning_threshold')}</label>
+            <div class="description">${l('warning_threshold_description')}</div>
+          </div>
+          <input
+            id="battery_threshold"
+            type="number"
+            min="0"
+            max="100"
+            value="${this._config.warning_threshold ?? this._config.battery_threshold ?? 20}"
+          />
+        </div>
+
+        <div class="option ${showBatteryThreshold ? '' : 'hidden'}" id="critical_threshold_option">
+          <div class="label-container">
+            <label>${l('critical_threshold')}</label>
+            <div class="description">${l('critical_threshold_description')}</div>
+          </div>
+          <input
+            id="critical_threshold"
+            type="number"
+            min="0"
+            max="100"
+            value="${this._config.critical_threshold !== undefined ? this._config.critical_threshold : 10}"
+          />
+        </div>
+
+        <div class="option ${showBatteryThreshold ? '' : 'hidden'}" id="stale_days_option">
+          <div class="label-container">
+            <label>${l('stale_days')}</label>
+            <div class="description">${l('stale_days_description')}</div>
+          </div>
+          <input
+            id="stale_days"
+            type="number"
+            min="0"
+            value="${this._config.stale_days ?? ''}"
+            placeholder="${l('stale_days_placeholder')}"
+          />
+        </div>
+
+        <div class="option ${showTemperatureRange ? '' : 'hidden'}" id="temperature_min_option">
+          <div class="label-container">
+            <label>${l('temperature_min')}</label>
+            <div class="description">${l('temperature_min_description')}</div>
+          </div>
+          <input
+            id="temperature_min"
+            type="number"
+            step="any"
+            value="${this._config.temperature_min ?? ''}"
+            placeholder="${l('range_placeholder')}"
+          />
+        </div>
+
+        <div class="option ${showTemperatureRange ? '' : 'hidden'}" id="temperature_max_option">
+          <div class="label-container">
+            <label>${l('temperature_max')}</label>
+            <div class="description">${l('temperature_max_description')}</div>
+          </div>
+          <input
+            id="temperature_max"
+            type="number"
+            step="any"
+            value="${this._config.temperature_max ?? ''}"
+            placeholder="${l('range_placeholder')}"
+          />
+        </div>
+
+        <div class="option ${showHumidityRange ? '' : 'hidden'}" id="humidity_min_option">
+          <div class="label-container">
+            <label>${l('humidity_min')}</label>
+            <div class="description">${l('humidity_min_description')}</div>
+          </div>
+          <input
+            id="humidity_min"
+            type="number"
+            min="0"
+            max="100"
+            value="${this._config.humidity_min !== undefined ? this._config.humidity_min : 30}"
+          />
+        </div>
+
+        <div class="option ${showHumidityRange ? '' : 'hidden'}" id="humidity_max_option">
+          <div class="label-container">
+            <label>${l('humidity_max')}</label>
+            <div class="description">${l('humidity_max_description')}</div>
+          </div>
+          <input
+            id="humidity_max"
+            type="number"
+            min="0"
+            max="100"
+            value="${this._config.humidity_max !== undefined ? this._config.humidity_max : 60}"
+          />
+        </div>
+
+        <div class="option ${showSignalThreshold ? '' : 'hidden'}" id="signal_threshold_option">
           <div class="label-container">
-            <label>${l('battery_threshold')}</label>
-            <div class="description">${l('battery_threshold_description')}</div>
+            <label>${l('signal_threshold')}</label>
+            <div class="description">${l('signal_threshold_description')}</div>
           </div>
           <input
-            id="battery_threshold"
+            id="signal_threshold"
+            type="number"
+            min="0"
+            max="100"
+            value="${this._config.signal_threshold !== undefined ? this._config.signal_threshold : 30}"
+          />
+        </div>
+
+        <div class="option ${showAlarmOption ? '' : 'hidden'}" id="alarm_expect_armed_option">
+          <div class="label-container">
+            <label>${l('alarm_expect_armed')}</label>
+            <div class="description">${l('alarm_expect_armed_description')}</div>
+          </div>
+          <input
+            id="alarm_expect_armed"
+            type="checkbox"
+            ${this._config.alarm_expect_armed ? 'checked' : ''}
+          />
+        </div>
+
+        <div class="option ${showConsumableThreshold ? '' : 'hidden'}" id="consumable_threshold_option">
+          <div class="label-container">
+            <label>${l('consumable_threshold')}</label>
+            <div class="description">${l('consumable_threshold_description')}</div>
+          </div>
+          <input
+            id="consumable_threshold"
             type="number"
             min="0"
             max="100"
-            value="${this._config.battery_threshold !== undefined ? this._config.battery_threshold : 20}"
+            value="${this._config.consumable_threshold !== undefined ? this._config.consumable_threshold : 10}"
           />
         </div>
 
@@ -2028,6 +4528,7 @@ class DeviceMonitorCardEditor extends HTMLElement {
             <option value="" ${!this._config.group_by ? 'selected' : ''}>${l('group_by_none')}</option>
             <option value="area" ${this._config.group_by === 'area' ? 'selected' : ''}>${l('group_by_area')}</option>
             <option value="floor" ${this._config.group_by === 'floor' ? 'selected' : ''}>${l('group_by_floor')}</option>
+            ${hasType('battery') ? `<option value="battery_type" ${this._config.group_by === 'battery_type' ? 'selected' : ''}>${l('group_by_battery_type')}</option>` : ''}
           </select>
         </div>
 
@@ -2040,6 +4541,7 @@ class DeviceMonitorCardEditor extends HTMLElement {
             <option value="state" ${this._config.sort_by === 'state' || !this._config.sort_by ? 'selected' : ''}>${l('sort_by_state')}</option>
             <option value="name" ${this._config.sort_by === 'name' ? 'selected' : ''}>${l('sort_by_name')}</option>
             <option value="last_changed" ${this._config.sort_by === 'last_changed' ? 'selected' : ''}>${l('sort_by_last_changed')}</option>
+            <option value="forecast" ${this._config.sort_by === 'forecast' ? 'selected' : ''}>${l('sort_by_forecast')}</option>
           </select>
         </div>
 
@@ -2091,6 +4593,54 @@ class DeviceMonitorCardEditor extends HTMLElement {
           />
         </div>
 
+        <div class="option ${showInstallOption ? '' : 'hidden'}" id="show_install_option">
+          <div class="label-container">
+            <label>${l('show_install')}</label>
+            <div class="description">${l('show_install_description')}</div>
+          </div>
+          <input
+            id="show_install"
+            type="checkbox"
+            ${this._config.show_install ? 'checked' : ''}
+          />
+        </div>
+
+        <div class="option ${showStopOption ? '' : 'hidden'}" id="show_stop_option">
+          <div class="label-container">
+            <label>${l('show_stop')}</label>
+            <div class="description">${l('show_stop_description')}</div>
+          </div>
+          <input
+            id="show_stop"
+            type="checkbox"
+            ${this._config.show_stop ? 'checked' : ''}
+          />
+        </div>
+
+        <div class="option ${showForecastOption ? '' : 'hidden'}" id="show_forecast_option">
+          <div class="label-container">
+            <label>${l('show_forecast')}</label>
+            <div class="description">${l('show_forecast_description')}</div>
+          </div>
+          <input
+            id="show_forecast"
+            type="checkbox"
+            ${this._config.show_forecast ? 'checked' : ''}
+          />
+        </div>
+
+        <div class="option ${showReplacedOption ? '' : 'hidden'}" id="show_replaced_option">
+          <div class="label-container">
+            <label>${l('show_replaced')}</label>
+            <div class="description">${l('show_replaced_description')}</div>
+          </div>
+          <input
+            id="show_replaced"
+            type="checkbox"
+            ${this._config.show_replaced ? 'checked' : ''}
+          />
+        </div>
+
         <div class="option">
           <div class="label-container">
             <label>${l('debug_mode')}</label>
@@ -2126,12 +4676,25 @@ class DeviceMonitorCardEditor extends HTMLElement {
     const filterInput = this.querySelector('#filter');
     const showUnavailableInput = this.querySelector('#show_unavailable');
     const thresholdInput = this.querySelector('#battery_threshold');
+    const criticalThresholdInput = this.querySelector('#critical_threshold');
+    const staleDaysInput = this.querySelector('#stale_days');
+    const temperatureMinInput = this.querySelector('#temperature_min');
+    const temperatureMaxInput = this.querySelector('#temperature_max');
+    const humidityMinInput = this.querySelector('#humidity_min');
+    const humidityMaxInput = this.querySelector('#humidity_max');
+    const signalThresholdInput = this.querySelector('#signal_threshold');
+    const alarmExpectArmedInput = this.querySelector('#alarm_expect_armed');
+    const consumableThresholdInput = this.querySelector('#consumable_threshold');
     const groupByInput = this.querySelector('#group_by');
     const sortByInput = this.querySelector('#sort_by');
     const nameSourceInput = this.querySelector('#name_source');
     const collapseInput = this.querySelector('#collapse');
     const cardVisibilityInput = this.querySelector('#card_visibility');
     const showToggleInput = this.querySelector('#show_toggle');
+    const showInstallInput = this.querySelector('#show_install');
+    const showStopInput = this.querySelector('#show_stop');
+    const showForecastInput = this.querySelector('#show_forecast');
+    const showReplacedInput = this.querySelector('#show_replaced');
     const debugInput = this.querySelector('#debug');
 
     // Text and number inputs - debounced to prevent focus loss
@@ -2141,7 +4704,99 @@ class DeviceMonitorCardEditor extends HTMLElement {
 
     if (thresholdInput) {
       thresholdInput.oninput = updateConfig((config, target) => {
-        config.battery_threshold = Number(target.value);
+        if (target.value === '') {
+          delete config.warning_threshold;
+        } else {
+          config.warning_threshold = Number(target.value);
+        }
+        // battery_threshold is only kept as an alias for older configs
+        delete config.battery_threshold;
+      }, true);
+    }
+
+    if (criticalThresholdInput) {
+      criticalThresholdInput.oninput = updateConfig((config, target) => {
+        if (target.value === '') {
+          delete config.critical_threshold;
+        } else {
+          config.critical_threshold = Number(target.value);
+        }
+      }, true);
+    }
+
+    if (staleDaysInput) {
+      staleDaysInput.oninput = updateConfig((config, target) => {
+        if (target.value === '') {
+          delete config.stale_days;
+        } else {
+          config.stale_days = Number(target.value);
+        }
+      }, true);
+    }
+
+    if (temperatureMinInput) {
+      temperatureMinInput.oninput = updateConfig((config, target) => {
+        if (target.value === '') {
+          delete config.temperature_min;
+        } else {
+          config.temperature_min = Number(target.value);
+        }
+      }, true);
+    }
+
+    if (temperatureMaxInput) {
+      temperatureMaxInput.oninput = updateConfig((config, target) => {
+        if (target.value === '') {
+          delete config.temperature_max;
+        } else {
+          config.temperature_max = Number(target.value);
+        }
+      }, true);
+    }
+
+    if (humidityMinInput) {
+      humidityMinInput.oninput = updateConfig((config, target) => {
+        if (target.value === '') {
+          delete config.humidity_min;
+        } else {
+          config.humidity_min = Number(target.value);
+        }
+      }, true);
+    }
+
+    if (humidityMaxInput) {
+      humidityMaxInput.oninput = updateConfig((config, target) => {
+        if (target.value === '') {
+          delete config.humidity_max;
+        } else {
+          config.humidity_max = Number(target.value);
+        }
+      }, true);
+    }
+
+    if (signalThresholdInput) {
+      signalThresholdInput.oninput = updateConfig((config, target) => {
+        if (target.value === '') {
+          delete config.signal_threshold;
+        } else {
+          config.signal_threshold = Number(target.value);
+        }
+      }, true);
+    }
+
+    if (alarmExpectArmedInput) {
+      alarmExpectArmedInput.onchange = updateConfig((config, target) => {
+        config.alarm_expect_armed = target.checked;
+      }, false);
+    }
+
+    if (consumableThresholdInput) {
+      consumableThresholdInput.oninput = updateConfig((config, target) => {
+        if (target.value === '') {
+          delete config.consumable_threshold;
+        } else {
+          config.consumable_threshold = Number(target.value);
+        }
       }, true);
     }
 
@@ -2155,7 +4810,8 @@ class DeviceMonitorCardEditor extends HTMLElement {
 
     // Selects and checkboxes - immediate updates
     entityTypeInput.onchange = updateConfig((config, target) => {
-      config.entity_type = target.value;
+      // Keep the current types when the last one of a list is deselected
+      config.entity_type = readEntityTypeSelect(target) || config.entity_type;
     }, false);
 
     filterInput.onchange = updateConfig((config, target) => {
@@ -2192,6 +4848,30 @@ class DeviceMonitorCardEditor extends HTMLElement {
       }, false);
     }
 
+    if (showInstallInput) {
+      showInstallInput.onchange = updateConfig((config, target) => {
+        config.show_install = target.checked;
+      }, false);
+    }
+
+    if (showStopInput) {
+      showStopInput.onchange = updateConfig((config, target) => {
+        config.show_stop = target.checked;
+      }, false);
+    }
+
+    if (showForecastInput) {
+      showForecastInput.onchange = updateConfig((config, target) => {
+        config.show_forecast = target.checked;
+      }, false);
+    }
+
+    if (showReplacedInput) {
+      showReplacedInput.onchange = updateConfig((config, target) => {
+        config.show_replaced = target.checked;
+      }, false);
+    }
+
     debugInput.onchange = updateConfig((config, target) => {
       config.debug = target.checked;
     }, false);
@@ -2318,6 +4998,22 @@ class DeviceMonitorBadge extends HTMLElement {
     this._config = {};
   }
 
+  /**
+   * Pick up a plugin entity type registered while the badge was off the page
+   */
+  connectedCallback() {
+    if (this._pendingConfig) {
+      this.setConfig(this._pendingConfig);
+    }
+  }
+
+  /**
+   * Stop waiting for plugin entity types once the badge is removed
+   */
+  disconnectedCallback() {
+    stopWaitingForEntityTypes(this);
+  }
+
   /**
    * Called when the badge configuration is set
    */
@@ -2326,18 +5022,20 @@ class DeviceMonitorBadge extends HTMLElement {
       throw new Error('Invalid configuration');
     }
 
-    const entityType = config.entity_type || 'battery';
-
-    // Validate entity type
-    if (!ENTITY_TYPES[entityType]) {
-      throw new Error(`Invalid entity_type: ${entityType}. Must be one of: ${Object.keys(ENTITY_TYPES).join(', ')}`);
+    // Plugin entity types may register after the badge is created
+    if (waitForEntityTypes(this, config)) {
+      this.render();
+      return;
     }
 
-    const strategy = ENTITY_TYPES[entityType];
+    const entityType = config.entity_type || 'battery';
+    const entityTypes = validateEntityTypes(config);
     const tapAction = this._normalizeAction(config.tap_action);
     const holdAction = this._normalizeAction(config.hold_action);
     const doubleTapAction = this._normalizeAction(config.double_tap_action);
-    const defaultTitle = getDefaultTitle(entityType) || strategy.defaultTitle;
+    const defaultTitle = entityTypes.length > 1
+      ? getDefaultTitle('multiple')
+      : getDefaultTitle(entityType) || getStrategy(config).defaultTitle;
 
     this._config = {
       entity_type: entityType,
@@ -2352,6 +5050,9 @@ class DeviceMonitorBadge extends HTMLElement {
       double_tap_action: doubleTapAction
     };
 
+    // One config per entity type; their counts are added up into a single badge
+    this._typeConfigs = entityTypes.map(type => ({ ...this._config, entity_type: type }));
+
     this.render();
   }
 
@@ -2364,10 +5065,10 @@ class DeviceMonitorBadge extends HTMLElement {
   }
 
   /**
-   * Get all devices for the configured entity type
+   * Get all devices for one configured entity type
    */
-  _getDevices() {
-    const { alertDevices, unavailableDevices, totalDevices } = collectDevices(this._hass, this._config, {
+  _getDevices(config) {
+    const { alertDevices, unavailableDevices, totalDevices } = collectDevices(this._hass, config, {
       includeArea: false,
       debug: this._config.debug,
       debugTag: 'Badge'
@@ -2513,15 +5214,22 @@ class DeviceMonitorBadge extends HTMLElement {
   render() {
     const isInEditMode = this._isInEditMode();
 
+    if (this._pendingConfig) {
+      this.shadowRoot.innerHTML = `
+        <ha-badge label="${escapeHtml(getWaitingForTypesMessage(this))}">
+          <ha-icon slot="icon" icon="${this._entityTypeError ? 'mdi:alert-circle' : 'mdi:timer-sand'}"></ha-icon>
+        </ha-badge>
+      `;
+      return;
+    }
+
     if (!this._hass) {
       // In edit mode without hass, show a placeholder
       if (isInEditMode) {
-        const entityType = this._config.entity_type || 'battery';
-        const strategy = ENTITY_TYPES[entityType];
-        const icon = strategy.getIcon({});
+        const isMultiType = this._typeConfigs.length > 1;
+        const icon = isMultiType ? 'mdi:check-circle' : getStrategy(this._typeConfigs[0]).getIcon({});
         const color = '#757575';
-        const defaultTitle = getDefaultTitle(entityType);
-        const badgeText = `${this._config.title || defaultTitle} (0/0)`;
+        const badgeText = `${this._config.title} (0/0)`;
 
         this.shadowRoot.innerHTML = `
           <style>
@@ -2559,9 +5267,25 @@ class DeviceMonitorBadge extends HTMLElement {
 
   _renderBadge() {
     const isInEditMode = this._isInEditMode();
-    const { alertDevices, totalDevices } = this._getDevices();
-    const strategy = ENTITY_TYPES[this._config.entity_type];
-    const alertCount = alertDevices.length;
+    const sections = this._typeConfigs.map((config) => {
+      const strategy = getStrategy(config);
+      const { alertDevices, totalDevices } = this._getDevices(config);
+      const badgeColor = strategy.getBadgeColor(alertDevices.length, alertDevices);
+      return {
+        entityType: config.entity_type,
+        strategy,
+        alertCount: alertDevices.length,
+        totalDevices,
+        badgeColor,
+        severity: getBadgeSeverity(strategy, alertDevices)
+      };
+    });
+    const isMultiType = sections.length > 1;
+    const alertCount = sections.reduce((sum, section) => sum + section.alertCount, 0);
+    const totalDevices = sections.reduce((sum, section) => sum + section.totalDevices, 0);
+
+    // Combined badges take the color of the most severe type (the first one on ties)
+    const mostSevere = sections.reduce((worst, section) => (section.severity > worst.severity ? section : worst));
 
     // Check visibility setting (but always show in edit mode)
     const badgeVisibility = this._config.badge_visibility || 'always';
@@ -2572,8 +5296,15 @@ class DeviceMonitorBadge extends HTMLElement {
     }
 
     const badgeText = `${this._config.title} (${alertCount}/${totalDevices})`;
-    const icon = strategy.getIcon({});
-    const color = strategy.getBadgeColor(alertCount);
+    let icon = mostSevere.strategy.getIcon({});
+    if (isMultiType) {
+      icon = alertCount > 0 ? 'mdi:alert-circle' : 'mdi:check-circle';
+    }
+    const color = mostSevere.badgeColor;
+    // Per-type breakdown shown as the tooltip of combined badges
+    const tooltip = isMultiType
+      ? sections.map(section => `${getDefaultTitle(section.entityType)}: ${section.alertCount}/${section.totalDevices}`).join('\n')
+      : badgeText;
     const tapAction = this._normalizeAction(this._config.tap_action);
     const holdAction = this._normalizeAction(this._config.hold_action);
     const doubleTapAction = this._normalizeAction(this._config.double_tap_action);
@@ -2611,12 +5342,17 @@ class DeviceMonitorBadge extends HTMLElement {
       </ha-badge>
     `;
 
-    // Add handlers only if an action is configured
+    // Set the tooltip safely using setAttribute to prevent XSS
     const badgeElement = this.shadowRoot.querySelector('#badge');
+    if (badgeElement && isMultiType) {
+      badgeElement.setAttribute('title', tooltip);
+    }
+
+    // Add handlers only if an action is configured
     if (badgeElement && hasAnyAction) {
       // Set aria-label safely using setAttribute to prevent XSS
       badgeElement.setAttribute('aria-label', badgeText);
-      badgeElement.setAttribute('title', badgeText);
+      badgeElement.setAttribute('title', tooltip);
 
       let holdTimeout = null;
       let holdTriggered = false;
@@ -2683,7 +5419,8 @@ class DeviceMonitorBadge extends HTMLElement {
   static getStubConfig() {
     return {
       entity_type: 'battery',
-      battery_threshold: 20,
+      warning_threshold: 20,
+      critical_threshold: 10,
       title: 'Low Battery',
       badge_visibility: 'always',
       show_unavailable: false,
@@ -2812,8 +5549,15 @@ class DeviceMonitorBadgeEditor extends HTMLElement {
         this._config.tap_action.action = 'none';
       }
 
-      const entityType = this._config.entity_type || 'battery';
-      const showBatteryThreshold = entityType === 'battery';
+      const entityTypes = getEntityTypes(this._config);
+      const hasType = type => entityTypes.includes(type);
+      const showBatteryThreshold = hasType('battery');
+      const showUnavailableOption = entityTypes.some(type => type !== 'availability');
+      const showConsumableThreshold = hasType('consumable');
+      const showSignalThreshold = hasType('signal');
+      const showAlarmOption = hasType('alarm');
+      const showHumidityRange = hasType('humidity');
+      const showTemperatureRange = hasType('temperature');
       const tapAction = this._config.tap_action || { action: 'none' };
       const tapActionType = tapAction.action || 'none';
       const excludeConfig = normalizeExcludeConfig(this._config.exclude);
@@ -3008,29 +5752,150 @@ class DeviceMonitorBadgeEditor extends HTMLElement {
             <label>${l('entity_type')}</label>
             <div class="description">${l('entity_type_description')}</div>
           </div>
-          <select id="entity_type">
-            <option value="battery" ${entityType === 'battery' ? 'selected' : ''}>${l('entity_type_battery')}</option>
-            <option value="contact" ${entityType === 'contact' ? 'selected' : ''}>${l('entity_type_contact')}</option>
-            <option value="lock" ${entityType === 'lock' ? 'selected' : ''}>${l('entity_type_lock')}</option>
-            <option value="light" ${entityType === 'light' ? 'selected' : ''}>${l('entity_type_light')}</option>
+          <select id="entity_type" multiple size="6">
+            ${renderEntityTypeOptions(entityTypes, l)}
           </select>
         </div>
 
         <div class="option ${showBatteryThreshold ? '' : 'hidden'}" id="battery_threshold_option">
           <div class="label-container">
-            <label>${l('battery_threshold')}</label>
-            <div class="description">${l('battery_threshold_description')}</div>
+            <label>${l('warning_threshold')}</label>
+            <div class="description">${l('warning_threshold_description')}</div>
           </div>
           <input
             id="battery_threshold"
             type="number"
             min="0"
             max="100"
-            value="${this._config.battery_threshold !== undefined ? this._config.battery_threshold : 20}"
+            value="${this._config.warning_threshold ?? this._config.battery_threshold ?? 20}"
           />
         </div>
 
-        <div class="option">
+        <div class="option ${showBatteryThreshold ? '' : 'hidden'}" id="critical_threshold_option">
+          <div class="label-container">
+            <label>${l('critical_threshold')}</label>
+            <div class="description">${l('critical_threshold_description')}</div>
+          </div>
+          <input
+            id="critical_threshold"
+            type="number"
+            min="0"
+            max="100"
+            value="${this._config.critical_threshold !== undefined ? this._config.critical_threshold : 10}"
+          />
+        </div>
+
+        <div class="option ${showBatteryThreshold ? '' : 'hidden'}" id="stale_days_option">
+          <div class="label-container">
+            <label>${l('stale_days')}</label>
+            <div class="description">${l('stale_days_description')}</div>
+          </div>
+          <input
+            id="stale_days"
+            type="number"
+            min="0"
+            value="${this._config.stale_days ?? ''}"
+            placeholder="${l('stale_days_placeholder')}"
+          />
+        </div>
+
+        <div class="option ${showTemperatureRange ? '' : 'hidden'}" id="temperature_min_option">
+          <div class="label-container">
+            <label>${l('temperature_min')}</label>
+            <div class="description">${l('temperature_min_description')}</div>
+          </div>
+          <input
+            id="temperature_min"
+            type="number"
+            step="any"
+            value="${this._config.temperature_min ?? ''}"
+            placeholder="${l('range_placeholder')}"
+          />
+        </div>
+
+        <div class="option ${showTemperatureRange ? '' : 'hidden'}" id="temperature_max_option">
+          <div class="label-container">
+            <label>${l('temperature_max')}</label>
+            <div class="description">${l('temperature_max_description')}</div>
+          </div>
+          <input
+            id="temperature_max"
+            type="number"
+            step="any"
+            value="${this._config.temperature_max ?? ''}"
+            placeholder="${l('range_placeholder')}"
+          />
+        </div>
+
+        <div class="option ${showHumidityRange ? '' : 'hidden'}" id="humidity_min_option">
+          <div class="label-container">
+            <label>${l('humidity_min')}</label>
+            <div class="description">${l('humidity_min_description')}</div>
+          </div>
+          <input
+            id="humidity_min"
+            type="number"
+            min="0"
+            max="100"
+            value="${this._config.humidity_min !== undefined ? this._config.humidity_min : 30}"
+          />
+        </div>
+
+        <div class="option ${showHumidityRange ? '' : 'hidden'}" id="humidity_max_option">
+          <div class="label-container">
+            <label>${l('humidity_max')}</label>
+            <div class="description">${l('humidity_max_description')}</div>
+          </div>
+          <input
+            id="humidity_max"
+            type="number"
+            min="0"
+            max="100"
+            value="${this._config.humidity_max !== undefined ? this._config.humidity_max : 60}"
+          />
+        </div>
+
+        <div class="option ${showSignalThreshold ? '' : 'hidden'}" id="signal_threshold_option">
+          <div class="label-container">
+            <label>${l('signal_threshold')}</label>
+            <div class="description">${l('signal_threshold_description')}</div>
+          </div>
+          <input
+            id="signal_threshold"
+            type="number"
+            min="0"
+            max="100"
+            value="${this._config.signal_threshold !== undefined ? this._config.signal_threshold : 30}"
+          />
+        </div>
+
+        <div class="option ${showAlarmOption ? '' : 'hidden'}" id="alarm_expect_armed_option">
+          <div class="label-container">
+            <label>${l('alarm_expect_armed')}</label>
+            <div class="description">${l('alarm_expect_armed_description')}</div>
+          </div>
+          <input
+            id="alarm_expect_armed"
+            type="checkbox"
+            ${this._config.alarm_expect_armed ? 'checked' : ''}
+          />
+        </div>
+
+        <div class="option ${showConsumableThreshold ? '' : 'hidden'}" id="consumable_threshold_option">
+          <div class="label-container">
+            <label>${l('consumable_threshold')}</label>
+            <div class="description">${l('consumable_threshold_description')}</div>
+          </div>
+          <input
+            id="consumable_threshold"
+            type="number"
+            min="0"
+            max="100"
+            value="${this._config.consumable_threshold !== undefined ? this._config.consumable_threshold : 10}"
+          />
+        </div>
+
+        <div class="option ${showUnavailableOption ? '' : 'hidden'}" id="show_unavailable_option">
           <div class="label-container">
             <label>${l('show_unavailable')}</label>
             <div class="description">${l('show_unavailable_description')}</div>
@@ -3205,6 +6070,15 @@ class DeviceMonitorBadgeEditor extends HTMLElement {
       const titleInput = this.querySelector('#title');
       const entityTypeInput = this.querySelector('#entity_type');
       const thresholdInput = this.querySelector('#battery_threshold');
+      const criticalThresholdInput = this.querySelector('#critical_threshold');
+      const staleDaysInput = this.querySelector('#stale_days');
+      const temperatureMinInput = this.querySelector('#temperature_min');
+      const temperatureMaxInput = this.querySelector('#temperature_max');
+      const humidityMinInput = this.querySelector('#humidity_min');
+      const humidityMaxInput = this.querySelector('#humidity_max');
+      const signalThresholdInput = this.querySelector('#signal_threshold');
+      const alarmExpectArmedInput = this.querySelector('#alarm_expect_armed');
+      const consumableThresholdInput = this.querySelector('#consumable_threshold');
       const showUnavailableInput = this.querySelector('#show_unavailable');
       const badgeVisibilityInput = this.querySelector('#badge_visibility');
       const tapActionTypeInput = this.querySelector('#tap_action_type');
@@ -3236,7 +6110,99 @@ class DeviceMonitorBadgeEditor extends HTMLElement {
 
       if (thresholdInput) {
         thresholdInput.oninput = updateConfig((config, target) => {
-          config.battery_threshold = Number(target.value);
+          if (target.value === '') {
+            delete config.warning_threshold;
+          } else {
+            config.warning_threshold = Number(target.value);
+          }
+          // battery_threshold is only kept as an alias for older configs
+          delete config.battery_threshold;
+        }, true);
+      }
+
+      if (criticalThresholdInput) {
+        criticalThresholdInput.oninput = updateConfig((config, target) => {
+          if (target.value === '') {
+            delete config.critical_threshold;
+          } else {
+            config.critical_threshold = Number(target.value);
+          }
+        }, true);
+      }
+
+      if (staleDaysInput) {
+        staleDaysInput.oninput = updateConfig((config, target) => {
+          if (target.value === '') {
+            delete config.stale_days;
+          } else {
+            config.stale_days = Number(target.value);
+          }
+        }, true);
+      }
+
+      if (temperatureMinInput) {
+        temperatureMinInput.oninput = updateConfig((config, target) => {
+          if (target.value === '') {
+            delete config.temperature_min;
+          } else {
+            config.temperature_min = Number(target.value);
+          }
+        }, true);
+      }
+
+      if (temperatureMaxInput) {
+        temperatureMaxInput.oninput = updateConfig((config, target) => {
+          if (target.value === '') {
+            delete config.temperature_max;
+          } else {
+            config.temperature_max = Number(target.value);
+          }
+        }, true);
+      }
+
+      if (humidityMinInput) {
+        humidityMinInput.oninput = updateConfig((config, target) => {
+          if (target.value === '') {
+            delete config.humidity_min;
+          } else {
+            config.humidity_min = Number(target.value);
+          }
+        }, true);
+      }
+
+      if (humidityMaxInput) {
+        humidityMaxInput.oninput = updateConfig((config, target) => {
+          if (target.value === '') {
+            delete config.humidity_max;
+          } else {
+            config.humidity_max = Number(target.value);
+          }
+        }, true);
+      }
+
+      if (signalThresholdInput) {
+        signalThresholdInput.oninput = updateConfig((config, target) => {
+          if (target.value === '') {
+            delete config.signal_threshold;
+          } else {
+            config.signal_threshold = Number(target.value);
+          }
+        }, true);
+      }
+
+      if (alarmExpectArmedInput) {
+        alarmExpectArmedInput.onchange = updateConfig((config, target) => {
+          config.alarm_expect_armed = target.checked;
+        }, false);
+      }
+
+      if (consumableThresholdInput) {
+        consumableThresholdInput.oninput = updateConfig((config, target) => {
+          if (target.value === '') {
+            delete config.consumable_threshold;
+          } else {
+            config.consumable_threshold = Number(target.value);
+          }
         }, true);
       }
 
@@ -3277,9 +6243,10 @@ class DeviceMonitorBadgeEditor extends HTMLElement {
       // Selects and checkboxes - immediate updates
       if (entityTypeInput) {
         entityTypeInput.onchange = updateConfig((config, target) => {
-          config.entity_type = target.value;
+          // Keep the current types when the last one of a list is deselected
+          config.entity_type = readEntityTypeSelect(target) || config.entity_type;
           // Update title to match new entity type default if current title matches old default
-          const strategy = ENTITY_TYPES[target.value];
+          const strategy = Array.isArray(config.entity_type) ? null : ENTITY_TYPES[config.entity_type];
           if (strategy && !config.title) {
             config.title = strategy.defaultTitle;
           }
@@ -3435,6 +6402,12 @@ class DeviceMonitorBadgeEditor extends HTMLElement {
   }
 }
 
+// Public API for registering additional entity types from other resources
+window.deviceMonitorCard = {
+  version: CARD_VERSION,
+  registerEntityType
+};
+
 // Register the custom card and badge
 customElements.define('device-monitor-card', DeviceMonitorCard);
 customElements.define('device-monitor-card-editor', DeviceMonitorCardEditor);
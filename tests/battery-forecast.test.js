@@ -0,0 +1,136 @@
+/**
+ * Tests for Battery Forecast Utilities
+ * Run with: node --test tests/battery-forecast.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  BATTERY_REPLACEMENT_JUMP,
+  parseHistorySamples,
+  getSamplesSinceReplacement,
+  calculateDrainRate,
+  forecastEmptyTime
+} = require('../src/battery-forecast.js');
+const { loadCard } = require('./helpers/load-card.js');
+
+const DAY = 86400000;
+
+// Build samples from [day, level] pairs
+const samples = (points) => points.map(([day, level]) => ({ time: day * DAY, level }));
+
+describe('Battery Forecast', () => {
+
+  describe('parseHistorySamples', () => {
+    it('should convert compressed history entries to samples in ms', () => {
+      const result = parseHistorySamples([
+        { s: '90', lu: 100 },
+        { s: '85.5', lu: 200 }
+      ]);
+      assert.deepStrictEqual(result, [
+        { time: 100000, level: 90 },
+        { time: 200000, level: 85.5 }
+      ]);
+    });
+
+    it('should drop non-numeric states', () => {
+      const result = parseHistorySamples([
+        { s: '90', lu: 100 },
+        { s: 'unavailable', lu: 150 },
+        { s: 'unknown', lu: 175 },
+        { s: '80', lu: 200 }
+      ]);
+      assert.strictEqual(result.length, 2);
+    });
+
+    it('should sort samples by time', () => {
+      const result = parseHistorySamples([
+        { s: '80', lu: 200 },
+        { s: '90', lu: 100 }
+      ]);
+      assert.deepStrictEqual(result.map(s => s.level), [90, 80]);
+    });
+
+    it('should return an empty list for missing history', () => {
+      assert.deepStrictEqual(parseHistorySamples(undefined), []);
+      assert.deepStrictEqual(parseHistorySamples(null), []);
+    });
+  });
+
+  describe('getSamplesSinceReplacement', () => {
+    it('should keep every sample when the level only drops', () => {
+      const input = samples([[0, 90], [1, 85], [2, 80]]);
+      assert.strictEqual(getSamplesSinceReplacement(input).length, 3);
+    });
+
+    it('should start after the most recent replacement', () => {
+      const input = samples([[0, 20], [1, 10], [2, 100], [3, 95]]);
+      const result = getSamplesSinceReplacement(input);
+      assert.deepStrictEqual(result.map(s => s.level), [100, 95]);
+    });
+
+    it('should ignore small upward jitter', () => {
+      const input = samples([[0, 80], [1, 78], [2, 78 + BATTERY_REPLACEMENT_JUMP - 1], [3, 75]]);
+      assert.strictEqual(getSamplesSinceReplacement(input).length, 4);
+    });
+  });
+
+  describe('calculateDrainRate', () => {
+    it('should return the daily drain for a steady discharge', () => {
+      const rate = calculateDrainRate(samples([[0, 100], [5, 90], [10, 80]]));
+      assert.ok(Math.abs(rate - 2) < 1e-9);
+    });
+
+    it('should return null with fewer than two samples', () => {
+      assert.strictEqual(calculateDrainRate(samples([[0, 100]])), null);
+      assert.strictEqual(calculateDrainRate([]), null);
+      assert.strictEqual(calculateDrainRate(null), null);
+    });
+
+    it('should return null when the history spans less than a day', () => {
+      assert.strictEqual(calculateDrainRate(samples([[0, 100], [0.5, 90]])), null);
+    });
+
+    it('should return null when the level is flat or rising', () => {
+      assert.strictEqual(calculateDrainRate(samples([[0, 80], [5, 80]])), null);
+      assert.strictEqual(calculateDrainRate(samples([[0, 80], [5, 85]])), null);
+    });
+
+    it('should only use samples since the last replacement', () => {
+      const rate = calculateDrainRate(samples([[0, 50], [5, 5], [6, 100], [8, 98], [10, 96]]));
+      assert.ok(Math.abs(rate - 1) < 1e-9);
+    });
+  });
+
+  describe('forecastEmptyTime', () => {
+    it('should project the empty date from the current level', () => {
+      assert.strictEqual(forecastEmptyTime(20, 2, 0), 10 * DAY);
+    });
+
+    it('should return now for an empty battery', () => {
+      assert.strictEqual(forecastEmptyTime(0, 2, 1000), 1000);
+    });
+
+    it('should return null without a drain rate', () => {
+      assert.strictEqual(forecastEmptyTime(50, null, 0), null);
+      assert.strictEqual(forecastEmptyTime(50, 0, 0), null);
+    });
+
+    it('should return null for a non-numeric level', () => {
+      assert.strictEqual(forecastEmptyTime(NaN, 2, 0), null);
+    });
+  });
+});
+
+describe('Battery forecast text', () => {
+  const { ENTITY_TYPES } = loadCard();
+  const forecast = visible => ({ forecast: { drainRate: 1, emptyAt: Date.now() + 3 * DAY, visible } });
+
+  it('should show the empty date when show_forecast is on', () => {
+    assert.match(ENTITY_TYPES.battery.getSecondaryInfo(forecast(true)), /^Empty /);
+  });
+
+  it('should not show it when the forecast is only used for sorting', () => {
+    assert.strictEqual(ENTITY_TYPES.battery.getSecondaryInfo(forecast(false)), null);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Tests for the Battery Notes details shown by the card
+ * Run with: node --test tests/battery-notes.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadCard } = require('./helpers/load-card.js');
+
+const { elements } = loadCard();
+
+const DAY = 86400000;
+const daysAgo = days => new Date(Date.now() - days * DAY).toISOString();
+
+describe('battery shopping list', () => {
+  it('should only count low batteries, not stale or unavailable ones', () => {
+    const card = new elements['device-monitor-card']();
+    card.setConfig({ entity_type: 'battery', stale_days: 3, show_unavailable: true });
+    const state = (entityId, level, batteryType, lastReported = daysAgo(0)) => ({
+      entity_id: entityId,
+      state: level,
+      attributes: { device_class: 'battery', unit_of_measurement: '%', battery_type: batteryType },
+      last_reported: lastReported,
+      last_changed: lastReported
+    });
+    card._hass = {
+      states: {
+        'sensor.remote_battery': state('sensor.remote_battery', '5', 'CR2032'),
+        'sensor.sensor_battery': state('sensor.sensor_battery', '80', 'CR2032', daysAgo(10)),
+        'sensor.lock_battery': state('sensor.lock_battery', 'unavailable', 'AA')
+      },
+      entities: {
+        'sensor.remote_battery': { device_id: 'remote' },
+        'sensor.sensor_battery': { device_id: 'sensor' },
+        'sensor.lock_battery': { device_id: 'lock' }
+      },
+      devices: { remote: { name: 'Remote' }, sensor: { name: 'Sensor' }, lock: { name: 'Lock' } },
+      formatEntityState: stateObj => stateObj.state
+    };
+    card._renderCard();
+
+    const html = card.shadowRoot.innerHTML;
+    assert.match(html, /Sensor/);
+    assert.match(html, /1× CR2032 needed/);
+    assert.doesNotMatch(html, /AA needed|2× CR2032/);
+  });
+});
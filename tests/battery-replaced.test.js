@@ -0,0 +1,54 @@
+/**
+ * Tests for recording battery replacements from the card
+ * Run with: node --test tests/battery-replaced.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadCard } = require('./helpers/load-card.js');
+
+const { elements } = loadCard();
+
+// Card with a fake hass whose user data starts as `stored`
+const makeCard = (stored, services = {}) => {
+  const card = new elements['device-monitor-card']();
+  const calls = [];
+  let userData = stored;
+  card._config = { entity_type: 'battery', show_replaced: true };
+  card._renderCard = () => {};
+  card._hass = {
+    states: { 'sensor.remote_battery': { entity_id: 'sensor.remote_battery', state: '5', attributes: {} } },
+    entities: { 'sensor.remote_battery': { device_id: 'remote' } },
+    devices: { remote: { name: 'Remote' } },
+    services,
+    callService: async (...args) => {
+      calls.push(args);
+      throw new Error('Service unavailable');
+    },
+    callWS: async (message) => {
+      calls.push([message.type]);
+      if (message.type === 'frontend/get_user_data') return { value: userData };
+      userData = message.value;
+      return null;
+    }
+  };
+  return { card, calls, userData: () => userData };
+};
+
+describe('_markBatteryReplaced', () => {
+  it('should keep stored dates that were not loaded before saving', async () => {
+    const { card, calls, userData } = makeCard({ 'sensor.lock_battery': '2024-01-01T00:00:00.000Z' });
+    await card._markBatteryReplaced('sensor.remote_battery');
+
+    assert.deepStrictEqual(calls.map(([type]) => type), ['frontend/get_user_data', 'frontend/set_user_data']);
+    assert.deepStrictEqual(Object.keys(userData()).sort(), ['sensor.lock_battery', 'sensor.remote_battery']);
+    assert.strictEqual(card._batteryReplacements['sensor.lock_battery'], '2024-01-01T00:00:00.000Z');
+  });
+
+  it('should not reject when Battery Notes fails', async () => {
+    const { card, calls } = makeCard({}, { battery_notes: { set_battery_replaced: {} } });
+    card._hass.states['sensor.remote_battery'].attributes = { battery_type: 'CR2032' };
+    await card._markBatteryReplaced('sensor.remote_battery');
+    assert.deepStrictEqual(calls[0].slice(0, 2), ['battery_notes', 'set_battery_replaced']);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for battery thresholds: per-device overrides and warning/critical grading
+ * Run with: node --test tests/battery-thresholds.test.js
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { loadCard } = require('./helpers/load-card.js');
+const { makeHass, battery } = require('./helpers/hass.js');
+
+const { collectDevices, getBatteryThreshold, getStrategy } = loadCard();
+
+describe('getBatteryThreshold', () => {
+  let hass;
+  before(() => {
+    hass = makeHass(
+      { 'sensor.lock_battery': [...battery(50), 'lock'] },
+      { lock: { labels: ['doors'], identifiers: [['zha', 'abc']] } }
+    );
+  });
+
+  const rules = {
+    entity: { type: 'entity', value: 'sensor.lock_battery', threshold: 50 },
+    device: { type: 'device', value: 'lock', threshold: 40 },
+    label: { type: 'label', value: 'doors', threshold: 30 },
+    integration: { type: 'integration', value: 'zha', threshold: 25 }
+  };
+  const threshold = overrides => getBatteryThreshold(hass, 'sensor.lock_battery', {
+    warning_threshold: 15,
+    battery_threshold_overrides: overrides
+  });
+
+  it('should use warning_threshold without overrides', () => {
+    assert.strictEqual(threshold(undefined), 15);
+  });
+
+  it('should fall back to battery_threshold and then 20', () => {
+    assert.strictEqual(getBatteryThreshold(hass, 'sensor.lock_battery', { battery_threshold: 35 }), 35);
+    assert.strictEqual(getBatteryThreshold(hass, 'sensor.lock_battery', {}), 20);
+  });
+
+  it('should prefer entity over device, label and integration rules', () => {
+    assert.strictEqual(threshold([rules.integration, rules.label, rules.device, rules.entity]), 50);
+  });
+
+  it('should prefer device over label and integration rules', () => {
+    assert.strictEqual(threshold([rules.integration, rules.label, rules.device]), 40);
+  });
+
+  it('should prefer label over integration rules', () => {
+    assert.strictEqual(threshold([rules.integration, rules.label]), 30);
+  });
+
+  it('should use integration rules last', () => {
+    assert.strictEqual(threshold([rules.integration]), 25);
+  });
+
+  it('should ignore rules that do not match or have no numeric threshold', () => {
+    assert.strictEqual(threshold([
+      { type: 'entity', value: 'sensor.other_battery', threshold: 90 },
+      { type: 'label', value: 'doors', threshold: 'high' }
+    ]), 15);
+  });
+});
+
+describe('battery warning and critical grading', () => {
+  const hass = makeHass({
+    'sensor.a_battery': [...battery(5), 'a'],
+    'sensor.b_battery': [...battery(15), 'b'],
+    'sensor.c_battery': [...battery(60), 'c']
+  });
+  const severities = config => Object.fromEntries(
+    collectDevices(hass, { entity_type: 'battery', ...config }).allDevices
+      .map(device => [device.entityId, device.stateInfo.severity])
+  );
+
+  it('should grade batteries below the critical and warning thresholds', () => {
+    assert.deepStrictEqual(severities({}), {
+      'sensor.a_battery': 'critical',
+      'sensor.b_battery': 'warning',
+      'sensor.c_battery': null
+    });
+  });
+
+  it('should never put the critical threshold above the warning threshold', () => {
+    const result = severities({ warning_threshold: 10, critical_threshold: 30 });
+    assert.strictEqual(result['sensor.a_battery'], 'critical');
+    assert.strictEqual(result['sensor.b_battery'], null);
+  });
+
+  it('should color the badge red only when a battery is critical', () => {
+    const strategy = getStrategy({ entity_type: 'battery' });
+    const { alertDevices } = collectDevices(hass, { entity_type: 'battery' });
+    assert.match(strategy.getBadgeColor(alertDevices.length, alertDevices), /red/);
+    const warnings = alertDevices.filter(device => device.stateInfo.severity === 'warning');
+    assert.match(strategy.getBadgeColor(warnings.length, warnings), /yellow/);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests for the YAML-defined custom entity type
+ * Run with: node --test tests/custom-entity-type.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadCard } = require('./helpers/load-card.js');
+
+const { compileCustomStrategy, globToRegExp, getStrategy } = loadCard();
+
+const hass = { states: {}, formatEntityState: stateObj => stateObj.state };
+const evaluate = (strategy, entityId, state) =>
+  strategy.evaluateState({ entity_id: entityId, state, attributes: {} }, {}, hass);
+
+describe('globToRegExp', () => {
+  it('should match the whole entity ID', () => {
+    const pattern = globToRegExp('sensor.pool_*');
+    assert.ok(pattern.test('sensor.pool_temperature'));
+    assert.ok(!pattern.test('binary_sensor.pool_temperature'));
+    assert.ok(!pattern.test('sensor.pool'));
+  });
+
+  it('should treat ? as a single character', () => {
+    const pattern = globToRegExp('light.lamp_?');
+    assert.ok(pattern.test('light.lamp_1'));
+    assert.ok(!pattern.test('light.lamp_12'));
+  });
+
+  it('should escape regular expression characters', () => {
+    assert.ok(!globToRegExp('sensor.a+b').test('sensor.aab'));
+    assert.ok(!globToRegExp('sensor.x').test('sensorXx'));
+  });
+});
+
+describe('compileCustomStrategy', () => {
+  it('should require every configured filter to match', () => {
+    const strategy = compileCustomStrategy({
+      domains: ['sensor', 'binary_sensor'],
+      device_classes: 'problem',
+      entity_id: 'binary_sensor.pump_*'
+    });
+    assert.ok(strategy.detect('binary_sensor.pump_fault', { device_class: 'problem' }));
+    assert.ok(!strategy.detect('binary_sensor.pump_fault', { device_class: 'door' }));
+    assert.ok(!strategy.detect('binary_sensor.heater_fault', { device_class: 'problem' }));
+    assert.ok(!strategy.detect('switch.pump_fault', { device_class: 'problem' }));
+  });
+
+  it('should detect nothing without filters', () => {
+    assert.ok(!compileCustomStrategy({}).detect('sensor.anything', {}));
+  });
+
+  it('should alert on configured states and out-of-range numbers', () => {
+    const strategy = compileCustomStrategy({ domains: 'sensor', alert_states: ['error', 'jammed'], below: 5, above: 30 });
+    assert.strictEqual(evaluate(strategy, 'sensor.pump', 'jammed').isAlert, true);
+    assert.strictEqual(evaluate(strategy, 'sensor.pump', 'idle').isAlert, false);
+    assert.strictEqual(evaluate(strategy, 'sensor.pump', '2').rangeStatus, 'low');
+    assert.strictEqual(evaluate(strategy, 'sensor.pump', '31').rangeStatus, 'high');
+    assert.strictEqual(evaluate(strategy, 'sensor.pump', '20').isAlert, false);
+  });
+
+  it('should reject non-numeric limits', () => {
+    assert.throws(() => compileCustomStrategy({ domains: 'sensor', above: 'hot' }), /Invalid above/);
+    assert.throws(() => compileCustomStrategy({ domains: 'sensor', below: 'cold' }), /Invalid below/);
+  });
+
+  it('should pick icons and colors by state, range, then alert/normal', () => {
+    const strategy = compileCustomStrategy({
+      domains: 'sensor',
+      alert_states: 'error',
+      below: 5,
+      icons: { error: 'mdi:alert', low: 'mdi:arrow-down', normal: 'mdi:pump' },
+      colors: { alert: 'purple' }
+    });
+    assert.strictEqual(strategy.getIcon(evaluate(strategy, 'sensor.pump', 'error')), 'mdi:alert');
+    assert.strictEqual(strategy.getIcon(evaluate(strategy, 'sensor.pump', '1')), 'mdi:arrow-down');
+    assert.strictEqual(strategy.getIcon(evaluate(strategy, 'sensor.pump', '9')), 'mdi:pump');
+    assert.strictEqual(strategy.getColor(evaluate(strategy, 'sensor.pump', 'error')), 'purple');
+    assert.strictEqual(strategy.emptyIcon, 'mdi:pump');
+    assert.strictEqual(strategy.getBadgeColor(1), 'purple');
+  });
+
+  it('should ignore inherited object members for states like "constructor"', () => {
+    const strategy = compileCustomStrategy({ domains: 'sensor', alert_states: 'constructor' });
+    ['constructor', 'toString', '__proto__'].forEach((state) => {
+      const stateInfo = evaluate(strategy, 'sensor.pump', state);
+      assert.strictEqual(typeof strategy.getIcon(stateInfo), 'string');
+      assert.strictEqual(typeof strategy.getColor(stateInfo), 'string');
+    });
+    assert.strictEqual(strategy.getIcon(evaluate(strategy, 'sensor.pump', 'constructor')), 'mdi:alert-circle');
+  });
+
+  it('should cache the compiled strategy per configuration', () => {
+    const config = { entity_type: 'custom', domains: 'sensor' };
+    assert.strictEqual(getStrategy(config), getStrategy(config));
+  });
+});
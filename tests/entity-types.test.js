@@ -0,0 +1,379 @@
+/**
+ * Tests for entity type detection and alert evaluation
+ * Run with: node --test tests/entity-types.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadCard } = require('./helpers/load-card.js');
+const { makeHass } = require('./helpers/hass.js');
+
+const { collectDevices, ENTITY_TYPES, normalizeSignalStrength } = loadCard();
+
+// Entity IDs of the alerting and normal devices found for a configuration
+const collect = (hass, config) => {
+  const { alertDevices, normalDevices } = collectDevices(hass, config);
+  return {
+    alert: alertDevices.map(device => device.entityId).sort(),
+    normal: normalDevices.map(device => device.entityId).sort()
+  };
+};
+
+describe('moisture', () => {
+  it('should detect leak sensors and alert when wet', () => {
+    const hass = makeHass({
+      'binary_sensor.sink_leak': ['on', { device_class: 'moisture' }, 'sink'],
+      'binary_sensor.bath_leak': ['off', { device_class: 'moisture' }, 'bath'],
+      'binary_sensor.front_door': ['on', { device_class: 'door' }, 'door'],
+      'sensor.sink_moisture': ['80', { device_class: 'moisture' }, 'plant']
+    });
+    assert.deepStrictEqual(collect(hass, { entity_type: 'moisture' }), {
+      alert: ['binary_sensor.sink_leak'],
+      normal: ['binary_sensor.bath_leak']
+    });
+  });
+});
+
+describe('safety', () => {
+  it('should detect smoke, CO and gas detectors and alert when triggered', () => {
+    const hass = makeHass({
+      'binary_sensor.hall_smoke': ['on', { device_class: 'smoke' }, 'hall'],
+      'binary_sensor.boiler_co': ['off', { device_class: 'carbon_monoxide' }, 'boiler'],
+      'binary_sensor.kitchen_gas': ['on', { device_class: 'gas' }, 'kitchen'],
+      'binary_sensor.sink_leak': ['on', { device_class: 'moisture' }, 'sink']
+    });
+    assert.deepStrictEqual(collect(hass, { entity_type: 'safety' }), {
+      alert: ['binary_sensor.hall_smoke', 'binary_sensor.kitchen_gas'],
+      normal: ['binary_sensor.boiler_co']
+    });
+  });
+});
+
+describe('availability', () => {
+  it('should report a device offline only when all of its entities are offline', () => {
+    const hass = makeHass({
+      'sensor.plug_power': ['unavailable', {}, 'plug'],
+      'switch.plug': ['on', {}, 'plug'],
+      'sensor.bulb_power': ['unavailable', {}, 'bulb'],
+      'light.bulb': ['unknown', {}, 'bulb']
+    });
+    const { allDevices, alertDevices } = collectDevices(hass, { entity_type: 'availability' });
+    assert.strictEqual(allDevices.length, 2);
+    assert.deepStrictEqual(alertDevices.map(device => device.deviceId), ['bulb']);
+
+    const plug = allDevices.find(device => device.deviceId === 'plug');
+    assert.strictEqual(plug.stateInfo.entityCount, 2);
+    assert.strictEqual(plug.stateInfo.offlineCount, 1);
+    assert.strictEqual(plug.stateInfo.value, 'online');
+    assert.strictEqual(plug.entityId, 'switch.plug');
+  });
+
+  it('should skip stateless domains like buttons and scenes', () => {
+    const hass = makeHass({
+      'button.plug_identify': ['unknown', {}, 'plug'],
+      'scene.evening': ['unknown', {}, 'scenes']
+    });
+    assert.strictEqual(collectDevices(hass, { entity_type: 'availability' }).totalDevices, 0);
+  });
+});
+
+describe('update', () => {
+  it('should detect update entities and alert on pending updates', () => {
+    const hass = makeHass({
+      'update.router_firmware': ['on', { installed_version: '1.0', latest_version: '1.1' }, 'router'],
+      'update.plug_firmware': ['off', { installed_version: '2.3', latest_version: '2.3' }, 'plug'],
+      'sensor.router_uptime': ['5', {}, 'router']
+    });
+    assert.deepStrictEqual(collect(hass, { entity_type: 'update' }), {
+      alert: ['update.router_firmware'],
+      normal: ['update.plug_firmware']
+    });
+    const [pending] = collectDevices(hass, { entity_type: 'update' }).alertDevices;
+    assert.strictEqual(pending.stateInfo.displayValue, '1.0 → 1.1');
+  });
+
+  it('should offer install only for pending updates that support it', () => {
+    const { getRowAction } = ENTITY_TYPES.update;
+    assert.strictEqual(getRowAction({ isAlert: true, attributes: { supported_features: 1 } }).service, 'update.install');
+    assert.strictEqual(getRowAction({ isAlert: true, attributes: { supported_features: 0 } }), null);
+    assert.strictEqual(getRowAction({ isAlert: false, attributes: { supported_features: 1 } }), null);
+  });
+});
+
+describe('cover', () => {
+  it('should detect covers and valves and alert when they are open', () => {
+    const hass = makeHass({
+      'cover.garage_door': ['open', { device_class: 'garage' }, 'garage'],
+      'cover.living_blinds': ['closed', { device_class: 'blind', current_position: 0 }, 'blinds'],
+      'cover.bedroom_shade': ['closed', { current_position: 30 }, 'shade'],
+      'valve.garden_water': ['closed', {}, 'valve'],
+      'binary_sensor.garage_contact': ['on', { device_class: 'garage_door' }, 'garage']
+    });
+    assert.deepStrictEqual(collect(hass, { entity_type: 'cover' }), {
+      alert: ['cover.bedroom_shade', 'cover.garage_door'],
+      normal: ['cover.living_blinds', 'valve.garden_water']
+    });
+  });
+});
+
+describe('switch', () => {
+  it('should detect switches and input booleans and alert when they are on', () => {
+    const hass = makeHass({
+      'switch.heater_plug': ['on', { device_class: 'outlet' }, 'heater'],
+      'input_boolean.vacation': ['off', {}, 'helpers'],
+      'light.desk': ['on', {}, 'desk']
+    });
+    assert.deepStrictEqual(collect(hass, { entity_type: 'switch' }), {
+      alert: ['switch.heater_plug'],
+      normal: ['input_boolean.vacation']
+    });
+  });
+
+  describe('device-less entities', () => {
+    const hass = makeHass({
+      'switch.template_fan': ['on'],
+      'input_boolean.guest_mode': ['unavailable']
+    });
+
+    it('should list device-less switches and helpers for the switch type', () => {
+      const { alertDevices } = collectDevices(hass, { entity_type: 'switch' });
+      assert.deepStrictEqual(alertDevices.map(device => device.deviceId), ['switch.template_fan']);
+      assert.strictEqual(alertDevices[0].isGroupEntity, true);
+    });
+
+    it('should not list them for other entity types', () => {
+      assert.strictEqual(collectDevices(hass, { entity_type: 'availability' }).totalDevices, 0);
+    });
+  });
+});
+
+describe('media_player', () => {
+  it('should detect media players and alert while they are on or playing', () => {
+    const hass = makeHass({
+      'media_player.living_tv': ['playing', { device_class: 'tv' }, 'tv'],
+      'media_player.kitchen_speaker': ['paused', {}, 'speaker'],
+      'media_player.bedroom_speaker': ['off', {}, 'bedroom'],
+      'media_player.office_cast': ['idle', {}, 'office']
+    });
+    assert.deepStrictEqual(collect(hass, { entity_type: 'media_player' }), {
+      alert: ['media_player.kitchen_speaker', 'media_player.living_tv'],
+      normal: ['media_player.bedroom_speaker', 'media_player.office_cast']
+    });
+  });
+
+  it('should prefer stop, then turn off, then pause as the row action', () => {
+    const { getRowAction } = ENTITY_TYPES.media_player;
+    const action = (value, features) => getRowAction({ isAlert: true, value, attributes: { supported_features: features } });
+    assert.strictEqual(action('playing', 4096 | 256).service, 'media_player.media_stop');
+    assert.strictEqual(action('on', 4096 | 256).service, 'media_player.turn_off');
+    assert.strictEqual(action('playing', 1).service, 'media_player.media_pause');
+    assert.strictEqual(action('on', 1), null);
+  });
+});
+
+describe('temperature', () => {
+  const hass = makeHass({
+    'climate.living': ['heat', { current_temperature: 16 }, 'thermostat'],
+    'sensor.attic_temperature': ['31.5', { device_class: 'temperature', unit_of_measurement: '°C' }, 'attic'],
+    'sensor.office_temperature': ['21', { device_class: 'temperature', unit_of_measurement: '°C' }, 'office'],
+    'climate.fan_only': ['off', {}, 'fan'],
+    'sensor.office_humidity': ['40', { device_class: 'humidity' }, 'office']
+  });
+
+  it('should alert on readings outside temperature_min and temperature_max', () => {
+    assert.deepStrictEqual(collect(hass, { entity_type: 'temperature', temperature_min: 18, temperature_max: 30 }), {
+      alert: ['climate.living', 'sensor.attic_temperature'],
+      normal: ['sensor.office_temperature']
+    });
+  });
+
+  it('should ignore an unset bound', () => {
+    assert.deepStrictEqual(collect(hass, { entity_type: 'temperature', temperature_max: 30 }).alert, ['sensor.attic_temperature']);
+    assert.deepStrictEqual(collect(hass, { entity_type: 'temperature' }).alert, []);
+  });
+});
+
+describe('humidity', () => {
+  const hass = makeHass({
+    'sensor.bathroom_humidity': ['72', { device_class: 'humidity', unit_of_measurement: '%' }, 'bathroom'],
+    'sensor.bedroom_humidity': ['25', { device_class: 'humidity', unit_of_measurement: '%' }, 'bedroom'],
+    'sensor.office_humidity': ['45', { device_class: 'humidity', unit_of_measurement: '%' }, 'office'],
+    'sensor.office_temperature': ['21', { device_class: 'temperature' }, 'office']
+  });
+
+  it('should alert outside 30-60% by default', () => {
+    assert.deepStrictEqual(collect(hass, { entity_type: 'humidity' }), {
+      alert: ['sensor.bathroom_humidity', 'sensor.bedroom_humidity'],
+      normal: ['sensor.office_humidity']
+    });
+  });
+
+  it('should use humidity_min and humidity_max when set', () => {
+    assert.deepStrictEqual(
+      collect(hass, { entity_type: 'humidity', humidity_min: 20, humidity_max: 75 }).alert,
+      []
+    );
+  });
+});
+
+describe('signal', () => {
+  it('should detect signal sensors and link quality attributes', () => {
+    const hass = makeHass({
+      'sensor.router_rssi': ['-60', { unit_of_measurement: 'dBm' }, 'router'],
+      'sensor.plug_signal': ['80', { device_class: 'signal_strength', unit_of_measurement: '%' }, 'plug'],
+      'light.bulb': ['on', { linkquality: 20 }, 'bulb'],
+      'sensor.plug_power': ['5', { unit_of_measurement: 'W' }, 'plug']
+    });
+    assert.deepStrictEqual(collect(hass, { entity_type: 'signal' }), {
+      alert: ['light.bulb'],
+      normal: ['sensor.plug_signal', 'sensor.router_rssi']
+    });
+  });
+
+  it('should keep the weakest signal of a device', () => {
+    const hass = makeHass({
+      'sensor.router_rssi': ['-60', { unit_of_measurement: 'dBm' }, 'router'],
+      'sensor.router_lqi': ['40', { unit_of_measurement: 'lqi' }, 'router']
+    });
+    const { allDevices } = collectDevices(hass, { entity_type: 'signal' });
+    assert.strictEqual(allDevices.length, 1);
+    assert.strictEqual(allDevices[0].stateInfo.numericValue, 16);
+    assert.strictEqual(allDevices[0].stateInfo.isAlert, true);
+  });
+
+  it('should show and open the entity the weakest reading comes from', () => {
+    const hass = makeHass({
+      'sensor.router_rssi': ['-60', { unit_of_measurement: 'dBm', friendly_name: 'Router RSSI' }, 'router'],
+      'sensor.router_lqi': ['40', { unit_of_measurement: 'lqi', friendly_name: 'Router LQI' }, 'router']
+    });
+    const [device] = collectDevices(hass, { entity_type: 'signal' }).allDevices;
+    assert.strictEqual(device.entityId, 'sensor.router_lqi');
+    assert.strictEqual(device.entityName, 'Router LQI');
+    assert.strictEqual(device.attributes.unit_of_measurement, 'lqi');
+  });
+});
+
+describe('normalizeSignalStrength', () => {
+  it('should map dBm from -100..-50 to 0..100', () => {
+    assert.strictEqual(normalizeSignalStrength(-100, 'dBm', false), 0);
+    assert.strictEqual(normalizeSignalStrength(-75, 'dBm', false), 50);
+    assert.strictEqual(normalizeSignalStrength(-50, 'dbm', false), 100);
+    assert.strictEqual(normalizeSignalStrength(-75, undefined, false), 50);
+  });
+
+  it('should keep percentages and scale LQI from 0-255', () => {
+    assert.strictEqual(normalizeSignalStrength(65, '%', false), 65);
+    assert.strictEqual(normalizeSignalStrength(255, 'lqi', true), 100);
+    assert.strictEqual(normalizeSignalStrength(51, undefined, true), 20);
+  });
+
+  it('should clamp out-of-range readings to 0-100', () => {
+    assert.strictEqual(normalizeSignalStrength(-30, 'dBm', false), 100);
+    assert.strictEqual(normalizeSignalStrength(-120, 'dBm', false), 0);
+    assert.strictEqual(normalizeSignalStrength(140, '%', false), 100);
+    assert.strictEqual(normalizeSignalStrength(300, 'lqi', true), 100);
+  });
+});
+
+describe('occupancy', () => {
+  it('should detect motion, occupancy and presence sensors and alert while occupied', () => {
+    const hass = makeHass({
+      'binary_sensor.hall_motion': ['on', { device_class: 'motion' }, 'hall'],
+      'binary_sensor.office_presence': ['off', { device_class: 'presence' }, 'office'],
+      'binary_sensor.kitchen_occupancy': ['on', { device_class: 'occupancy' }, 'kitchen'],
+      'binary_sensor.front_door': ['on', { device_class: 'door' }, 'door']
+    });
+    assert.deepStrictEqual(collect(hass, { entity_type: 'occupancy' }), {
+      alert: ['binary_sensor.hall_motion', 'binary_sensor.kitchen_occupancy'],
+      normal: ['binary_sensor.office_presence']
+    });
+    const [hall] = collectDevices(hass, { entity_type: 'occupancy' }).alertDevices;
+    assert.strictEqual(hall.stateInfo.occupiedSince, '2024-01-01T00:00:00Z');
+  });
+});
+
+describe('alarm', () => {
+  const hass = makeHass({
+    'alarm_control_panel.house': ['disarmed', {}, 'panel'],
+    'alarm_control_panel.garage': ['triggered', {}, 'garage'],
+    'alarm_control_panel.shed': ['armed_away', {}, 'shed'],
+    'siren.hall': ['on', {}, 'siren'],
+    'siren.porch': ['off', {}, 'porch']
+  });
+
+  it('should alert on triggered panels and sounding sirens', () => {
+    assert.deepStrictEqual(collect(hass, { entity_type: 'alarm' }), {
+      alert: ['alarm_control_panel.garage', 'siren.hall'],
+      normal: ['alarm_control_panel.house', 'alarm_control_panel.shed', 'siren.porch']
+    });
+  });
+
+  it('should alert on disarmed panels with alarm_expect_armed', () => {
+    assert.deepStrictEqual(collect(hass, { entity_type: 'alarm', alarm_expect_armed: true }).alert, [
+      'alarm_control_panel.garage',
+      'alarm_control_panel.house',
+      'siren.hall'
+    ]);
+  });
+});
+
+describe('appliance', () => {
+  it('should alert on vacuum and mower errors, stuck robots and problem sensors', () => {
+    const hass = makeHass({
+      'vacuum.downstairs': ['error', { error: 'Brush jammed' }, 'vacuum'],
+      'vacuum.upstairs': ['cleaning', { status: 'Stuck on carpet' }, 'upstairs'],
+      'lawn_mower.garden': ['mowing', {}, 'mower'],
+      'binary_sensor.dishwasher_problem': ['off', { device_class: 'problem' }, 'dishwasher'],
+      'binary_sensor.washer_problem': ['on', { device_class: 'problem' }, 'washer']
+    });
+    assert.deepStrictEqual(collect(hass, { entity_type: 'appliance' }), {
+      alert: ['binary_sensor.washer_problem', 'vacuum.downstairs', 'vacuum.upstairs'],
+      normal: ['binary_sensor.dishwasher_problem', 'lawn_mower.garden']
+    });
+    const vacuum = collectDevices(hass, { entity_type: 'appliance' }).alertDevices
+      .find(device => device.entityId === 'vacuum.downstairs');
+    assert.strictEqual(vacuum.stateInfo.displayValue, 'Brush jammed');
+  });
+});
+
+describe('consumable', () => {
+  const percent = level => [String(level), { unit_of_measurement: '%' }];
+  const hass = makeHass({
+    'sensor.purifier_filter_life': [...percent(5), 'purifier'],
+    'sensor.printer_black_toner': [...percent(50), 'printer'],
+    'sensor.vacuum_main_brush_left': ['20', { unit_of_measurement: 'h' }, 'vacuum'],
+    'sensor.remote_battery': ['5', { device_class: 'battery', unit_of_measurement: '%' }, 'remote'],
+    'sensor.office_humidity': [...percent(5), 'office']
+  });
+
+  it('should detect consumable percentages and alert below 10% by default', () => {
+    assert.deepStrictEqual(collect(hass, { entity_type: 'consumable' }), {
+      alert: ['sensor.purifier_filter_life'],
+      normal: ['sensor.printer_black_toner']
+    });
+  });
+
+  it('should use consumable_threshold when set', () => {
+    assert.deepStrictEqual(collect(hass, { entity_type: 'consumable', consumable_threshold: 60 }).alert, [
+      'sensor.printer_black_toner',
+      'sensor.purifier_filter_life'
+    ]);
+  });
+});
+
+describe('connectivity', () => {
+  it('should alert on disconnected devices, problems and routers reporting away', () => {
+    const hass = makeHass({
+      'binary_sensor.nas_connected': ['off', { device_class: 'connectivity' }, 'nas'],
+      'binary_sensor.printer_connected': ['on', { device_class: 'connectivity' }, 'printer'],
+      'binary_sensor.router_problem': ['on', { device_class: 'problem' }, 'router'],
+      'device_tracker.camera': ['not_home', { source_type: 'router' }, 'camera'],
+      'device_tracker.tablet': ['home', { source_type: 'router' }, 'tablet'],
+      'device_tracker.phone': ['not_home', { source_type: 'gps' }, 'phone']
+    });
+    assert.deepStrictEqual(collect(hass, { entity_type: 'connectivity' }), {
+      alert: ['binary_sensor.nas_connected', 'binary_sensor.router_problem', 'device_tracker.camera'],
+      normal: ['binary_sensor.printer_connected', 'device_tracker.tablet']
+    });
+  });
+});
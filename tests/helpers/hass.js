@@ -0,0 +1,28 @@
+/**
+ * Minimal hass objects for tests that collect devices
+ */
+
+// Build a hass object from { entityId: [state, attributes, deviceId] }
+const makeHass = (entities, devices = {}) => {
+  const hass = {
+    states: {},
+    entities: {},
+    devices: {},
+    formatEntityState: stateObj => stateObj.state
+  };
+  Object.entries(entities).forEach(([entityId, [state, attributes = {}, deviceId = null]]) => {
+    hass.states[entityId] = { entity_id: entityId, state, attributes, last_changed: '2024-01-01T00:00:00Z' };
+    if (deviceId) {
+      hass.entities[entityId] = { device_id: deviceId };
+      hass.devices[deviceId] = hass.devices[deviceId] || { name: `Device ${deviceId}` };
+    }
+  });
+  Object.entries(devices).forEach(([deviceId, device]) => {
+    hass.devices[deviceId] = { ...hass.devices[deviceId], ...device };
+  });
+  return hass;
+};
+
+const battery = level => [String(level), { device_class: 'battery', unit_of_measurement: '%' }];
+
+module.exports = { makeHass, battery };
@@ -0,0 +1,89 @@
+/**
+ * Loads src/device-monitor-card.js with the minimal browser globals it needs at
+ * load time, so its module-level helpers can be tested in Node.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const SRC_DIR = path.join(__dirname, '..', '..', 'src');
+const SOURCE = fs.readFileSync(path.join(SRC_DIR, 'device-monitor-card.js'), 'utf8');
+
+// Names exposed to the tests (module-level `const`s are not visible otherwise)
+const EXPORTS = [
+  'ENTITY_TYPES',
+  'collectDevices',
+  'getBatteryThreshold',
+  'getEntityTypes',
+  'validateEntityTypes',
+  'getStrategy',
+  'registerEntityType',
+  'compileCustomStrategy',
+  'globToRegExp',
+  'getStaleReport',
+  'getBadgeSeverity',
+  'normalizeSignalStrength',
+  'buildExcludeItems',
+  'localizationHelper'
+];
+
+class FakeHTMLElement {
+  attachShadow() {
+    this.shadowRoot = { innerHTML: '', querySelector: () => null, querySelectorAll: () => [] };
+    return this.shadowRoot;
+  }
+
+  querySelector() {
+    return null;
+  }
+
+  querySelectorAll() {
+    return [];
+  }
+
+  setAttribute() {}
+
+  dispatchEvent() {}
+}
+
+// Serve translation files from src/translations like the HACS resource path does
+const fakeFetch = async (url) => {
+  const match = String(url).match(/translations\/([a-z]+)\.json/);
+  const file = match ? path.join(SRC_DIR, 'translations', `${match[1]}.json`) : null;
+  if (!file || !fs.existsSync(file)) {
+    return { ok: false, status: 404 };
+  }
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { ok: true, status: 200, json: async () => data };
+};
+
+/**
+ * Evaluate a fresh copy of the card script
+ * Each call gets its own ENTITY_TYPES, so registered plugin types do not leak between tests.
+ */
+function loadCard() {
+  const elements = {};
+  const window = { location: { href: 'http://localhost/lovelace/0' } };
+  const customElements = {
+    define: (name, element) => {
+      elements[name] = element;
+    },
+    get: (name) => elements[name]
+  };
+  const quietConsole = { ...console, log() {}, info() {}, warn() {} };
+  const factory = new Function(
+    'HTMLElement', 'customElements', 'window', 'document', 'fetch', 'console',
+    `${SOURCE}\nreturn { ${EXPORTS.join(', ')} };`
+  );
+  const card = factory(
+    FakeHTMLElement,
+    customElements,
+    window,
+    { createElement: () => new FakeHTMLElement() },
+    fakeFetch,
+    quietConsole
+  );
+  return { ...card, window, elements };
+}
+
+module.exports = { loadCard };
@@ -0,0 +1,113 @@
+/**
+ * Tests for cards and badges that monitor several entity types
+ * Run with: node --test tests/multiple-entity-types.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadCard } = require('./helpers/load-card.js');
+const { makeHass, battery } = require('./helpers/hass.js');
+
+const {
+  collectDevices,
+  getEntityTypes,
+  validateEntityTypes,
+  buildExcludeItems
+} = loadCard();
+
+describe('multiple entity types', () => {
+  it('should accept a single type or a list', () => {
+    assert.deepStrictEqual(getEntityTypes({}), ['battery']);
+    assert.deepStrictEqual(getEntityTypes({ entity_type: 'lock' }), ['lock']);
+    assert.deepStrictEqual(getEntityTypes({ entity_type: ['lock', 'contact'] }), ['lock', 'contact']);
+  });
+
+  it('should reject empty lists and unknown types', () => {
+    assert.throws(() => validateEntityTypes({ entity_type: [] }), /at least one/);
+    assert.throws(() => validateEntityTypes({ entity_type: ['lock', 'toaster'] }), /Invalid entity_type: toaster/);
+  });
+
+  it('should collect each type separately from one configuration', () => {
+    const hass = makeHass({
+      'sensor.remote_battery': [...battery(5), 'remote'],
+      'lock.front': ['unlocked', {}, 'front'],
+      'binary_sensor.window': ['on', { device_class: 'window' }, 'window']
+    });
+    const config = { entity_type: ['battery', 'lock', 'contact'] };
+    const alerts = validateEntityTypes(config).map(type =>
+      collectDevices(hass, { ...config, entity_type: type }).alertDevices.map(device => device.entityId)
+    );
+    assert.deepStrictEqual(alerts, [['sensor.remote_battery'], ['lock.front'], ['binary_sensor.window']]);
+  });
+});
+
+describe('buildExcludeItems', () => {
+  it('should offer the devices, integrations and labels of every type', () => {
+    const hass = makeHass(
+      {
+        'lock.front': ['locked', {}, 'front'],
+        'sensor.front_battery': [...battery(80), 'front'],
+        'sensor.remote_battery': [...battery(60), 'remote']
+      },
+      {
+        front: { name: 'Front Door', identifiers: [['zwave_js', 'a']], labels: ['doors'] },
+        remote: { name: 'Remote', identifiers: [['zha', 'b']] }
+      }
+    );
+    hass.labels = { doors: { name: 'Doors' } };
+
+    const items = buildExcludeItems(hass, { entity_type: ['lock', 'battery'] });
+    assert.deepStrictEqual(items.deviceItems, [
+      { value: 'front', label: 'Front Door' },
+      { value: 'remote', label: 'Remote' }
+    ]);
+    assert.deepStrictEqual(items.integrationItems.map(item => item.value), ['zha', 'zwave_js']);
+    assert.deepStrictEqual(items.labelItems, [{ value: 'doors', label: 'Doors' }]);
+  });
+});
+
+describe('combined badge severity', () => {
+  const { getBadgeSeverity, registerEntityType, ENTITY_TYPES } = loadCard();
+  const alerts = (...severities) => severities.map(severity => ({ stateInfo: { isAlert: true, severity } }));
+
+  it('should rank types without alerts lowest', () => {
+    assert.strictEqual(getBadgeSeverity(ENTITY_TYPES.moisture, []), 0);
+  });
+
+  it('should rank by the strategy alertSeverity, not by the badge color', () => {
+    registerEntityType('plant', {
+      detect: () => false,
+      evaluateState: () => ({}),
+      getIcon: () => 'mdi:flower',
+      getColor: () => '#ff0000',
+      getBadgeColor: () => '#ff0000',
+      alertSeverity: 'critical'
+    });
+    assert.ok(getBadgeSeverity(ENTITY_TYPES.plant, alerts(null)) > getBadgeSeverity(ENTITY_TYPES.contact, alerts(null)));
+    assert.ok(getBadgeSeverity(ENTITY_TYPES.contact, alerts(null)) > getBadgeSeverity(ENTITY_TYPES.update, alerts(null)));
+  });
+
+  it('should let a device severity override the strategy', () => {
+    const low = getBadgeSeverity(ENTITY_TYPES.battery, alerts('warning'));
+    const critical = getBadgeSeverity(ENTITY_TYPES.battery, alerts('warning', 'critical'));
+    assert.ok(critical > low);
+    assert.strictEqual(critical, getBadgeSeverity(ENTITY_TYPES.moisture, alerts(null)));
+  });
+
+  it('should reject unknown alertSeverity values', () => {
+    assert.throws(() => registerEntityType('pump', {
+      detect: () => false,
+      evaluateState: () => ({}),
+      getIcon: () => '',
+      getColor: () => '',
+      getBadgeColor: () => '',
+      alertSeverity: 'urgent'
+    }), /invalid alertSeverity/);
+  });
+
+  it('should rank unavailable devices lowest', () => {
+    const offline = [{ stateInfo: { isAlert: true, isUnavailable: true, severity: null } }];
+    assert.strictEqual(getBadgeSeverity(ENTITY_TYPES.moisture, offline), getBadgeSeverity(ENTITY_TYPES.update, alerts(null)));
+    assert.ok(getBadgeSeverity(ENTITY_TYPES.moisture, offline) < getBadgeSeverity(ENTITY_TYPES.contact, alerts(null)));
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Tests for the plugin API that registers additional entity types
+ * Run with: node --test tests/register-entity-type.test.js
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { loadCard } = require('./helpers/load-card.js');
+
+const strategy = () => ({
+  detect: entityId => entityId.startsWith('plant.'),
+  evaluateState: entity => ({
+    value: entity.state,
+    displayValue: entity.state,
+    isAlert: entity.state === 'problem',
+    numericValue: null
+  }),
+  getIcon: () => 'mdi:flower',
+  getColor: () => '#ff0000',
+  getBadgeColor: alertCount => (alertCount ? 'red' : 'green')
+});
+
+describe('registerEntityType', () => {
+  let card;
+  beforeEach(() => {
+    card = loadCard();
+  });
+
+  it('should be exposed on window.deviceMonitorCard', () => {
+    assert.strictEqual(card.window.deviceMonitorCard.registerEntityType, card.registerEntityType);
+  });
+
+  it('should add the strategy with default messages', () => {
+    card.registerEntityType('plant', strategy());
+    assert.strictEqual(card.ENTITY_TYPES.plant.name, 'plant');
+    assert.strictEqual(card.ENTITY_TYPES.plant.emptyIcon, 'mdi:check-circle');
+    assert.deepStrictEqual(card.validateEntityTypes({ entity_type: ['battery', 'plant'] }), ['battery', 'plant']);
+  });
+
+  it('should reject invalid names', () => {
+    ['', 'Plant', '1plant', 'my-plant', 'plant type', null, 42].forEach((name) => {
+      assert.throws(() => card.registerEntityType(name, strategy()), /Invalid entity type name/);
+    });
+  });
+
+  it('should reject built-in and already registered names', () => {
+    ['battery', 'lock', 'custom'].forEach((name) => {
+      assert.throws(() => card.registerEntityType(name, strategy()), /already registered/);
+    });
+    card.registerEntityType('plant', strategy());
+    assert.throws(() => card.registerEntityType('plant', strategy()), /already registered/);
+  });
+
+  it('should reject strategies missing required functions', () => {
+    const { getBadgeColor, ...incomplete } = strategy();
+    assert.ok(getBadgeColor);
+    assert.throws(() => card.registerEntityType('plant', incomplete), /missing: getBadgeColor/);
+    assert.throws(() => card.registerEntityType('plant', null), /Invalid strategy/);
+  });
+
+  it('should reject optional hooks that are not functions', () => {
+    assert.throws(
+      () => card.registerEntityType('plant', { ...strategy(), combineStates: true }),
+      /invalid combineStates/
+    );
+  });
+});
+
+describe('cards configured before their plugin type is registered', () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('should wait for the type and set themselves up once it is registered', () => {
+    const card = loadCard();
+    const element = new card.elements['device-monitor-card']();
+    element.setConfig({ entity_type: ['battery', 'plant'] });
+    assert.match(element.shadowRoot.innerHTML, /plant/);
+
+    card.registerEntityType('plant', strategy());
+    assert.strictEqual(element._pendingConfig, null);
+    assert.deepStrictEqual(element._typeConfigs.map(config => config.entity_type), ['battery', 'plant']);
+  });
+
+  it('should report a type that never registers as invalid', () => {
+    const card = loadCard();
+    const element = new card.elements['device-monitor-card']();
+    element.setConfig({ entity_type: 'baterry' });
+    assert.match(element.shadowRoot.innerHTML, /Waiting for entity type: baterry/);
+
+    mock.timers.tick(5000);
+    assert.match(element.shadowRoot.innerHTML, /ha-alert alert-type="error">Invalid entity_type: baterry/);
+
+    // Later edits report unknown types right away
+    element.setConfig({ entity_type: 'lokc' });
+    assert.match(element.shadowRoot.innerHTML, /Invalid entity_type: lokc/);
+  });
+
+  it('should stop waiting once removed from the page', () => {
+    const card = loadCard();
+    const badge = new card.elements['device-monitor-badge']();
+    badge.setConfig({ entity_type: 'plant' });
+    badge.disconnectedCallback();
+
+    card.registerEntityType('plant', strategy());
+    assert.strictEqual(badge._typeConfigs, undefined);
+
+    badge.connectedCallback();
+    assert.deepStrictEqual(badge._typeConfigs.map(config => config.entity_type), ['plant']);
+  });
+
+  it('should still reject malformed type names right away', () => {
+    const card = loadCard();
+    const badge = new card.elements['device-monitor-badge']();
+    assert.throws(() => badge.setConfig({ entity_type: 'Toaster!' }), /Invalid entity_type/);
+  });
+});
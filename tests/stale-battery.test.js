@@ -0,0 +1,70 @@
+/**
+ * Tests for stale battery detection
+ * Run with: node --test tests/stale-battery.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadCard } = require('./helpers/load-card.js');
+
+const { getStaleReport, elements } = loadCard();
+
+const DAY = 86400000;
+const daysAgo = days => new Date(Date.now() - days * DAY).toISOString();
+const battery = (timestamps, state = '80') => ({ entity_id: 'sensor.remote_battery', state, attributes: {}, ...timestamps });
+
+describe('getStaleReport', () => {
+  it('should prefer last_reported over last_updated', () => {
+    const entity = battery({ last_reported: daysAgo(1), last_updated: daysAgo(10) });
+    assert.strictEqual(getStaleReport(entity, { stale_days: 3 }), null);
+
+    const stale = battery({ last_reported: daysAgo(10), last_updated: daysAgo(1) });
+    assert.strictEqual(getStaleReport(stale, { stale_days: 3 }), stale.last_reported);
+  });
+
+  it('should fall back to last_updated without last_reported', () => {
+    const entity = battery({ last_updated: daysAgo(5) });
+    assert.strictEqual(getStaleReport(entity, { stale_days: 3 }), entity.last_updated);
+  });
+
+  it('should report only batteries older than stale_days', () => {
+    assert.strictEqual(getStaleReport(battery({ last_reported: daysAgo(2.99) }), { stale_days: 3 }), null);
+    assert.notStrictEqual(getStaleReport(battery({ last_reported: daysAgo(3.01) }), { stale_days: 3 }), null);
+  });
+
+  it('should be disabled without a positive stale_days', () => {
+    const entity = battery({ last_reported: daysAgo(30) });
+    [undefined, 0, -1, 'soon'].forEach((staleDays) => {
+      assert.strictEqual(getStaleReport(entity, { stale_days: staleDays }), null);
+    });
+  });
+
+  it('should ignore unavailable batteries and invalid timestamps', () => {
+    assert.strictEqual(getStaleReport(battery({ last_reported: daysAgo(30) }, 'unavailable'), { stale_days: 3 }), null);
+    assert.strictEqual(getStaleReport(battery({ last_reported: 'never' }), { stale_days: 3 }), null);
+  });
+});
+
+describe('card header counts', () => {
+  it('should count a low stale battery once, under its severity', () => {
+    const card = new elements['device-monitor-card']();
+    card.setConfig({ entity_type: 'battery', stale_days: 3 });
+    const state = (entityId, level) => ({
+      entity_id: entityId,
+      state: level,
+      attributes: { device_class: 'battery', unit_of_measurement: '%' },
+      last_reported: daysAgo(10),
+      last_changed: daysAgo(10)
+    });
+    card._hass = {
+      states: { 'sensor.a_battery': state('sensor.a_battery', '5'), 'sensor.b_battery': state('sensor.b_battery', '80') },
+      entities: { 'sensor.a_battery': { device_id: 'a' }, 'sensor.b_battery': { device_id: 'b' } },
+      devices: { a: { name: 'A' }, b: { name: 'B' } },
+      formatEntityState: stateObj => stateObj.state
+    };
+    card._renderCard();
+
+    const counts = card.shadowRoot.innerHTML.match(/class="severity-count [a-z]+">[^<]*/g);
+    assert.deepStrictEqual(counts, ['class="severity-count critical">1 critical', 'class="severity-count stale">1 stale']);
+  });
+});